@@ -0,0 +1,157 @@
+/**
+ * Raster Benchmark
+ * Compares the typed-array raster core (raster.js) against the nested-array
+ * versions it replaced: building a layer mask, dilation, connected component
+ * labelling (flood fill) and counting mask pixels.
+ *
+ * Usage: node benchmarks/raster.js [size]   (default 600 -> 600x600 image)
+ */
+const { performance } = require('perf_hooks');
+const { layerToMask } = require('../src/step2_quantize');
+const { dilateOnce } = require('../src/step2b_dilate');
+const { countMask, floodFill } = require('../src/raster');
+
+// --- Previous implementations (nested arrays, {x,y} points, queue.shift()) ---
+
+function legacyLayerToMask(layerPoints, width, height) {
+    const mask = Array(height).fill(0).map(() => Array(width).fill(0));
+    for (const p of layerPoints) {
+        mask[p.y][p.x] = 1;
+    }
+    return mask;
+}
+
+function legacyDilateOnce(mask, coverageMask) {
+    const height = mask.length;
+    const width = mask[0].length;
+    const output = Array(height).fill(null).map(() => Array(width).fill(0));
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mask[y][x] === 1) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const ny = y + dy;
+                        const nx = x + dx;
+                        if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
+                            if (coverageMask === null || coverageMask[ny][nx] === 1) {
+                                output[ny][nx] = 1;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+    return output;
+}
+
+function legacyLabel(mask) {
+    const height = mask.length;
+    const width = mask[0].length;
+    const labels = Array(height).fill().map(() => Array(width).fill(-1));
+    let count = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mask[y][x] !== 1 || labels[y][x] !== -1) continue;
+            const queue = [{ x, y }];
+            labels[y][x] = count;
+            while (queue.length > 0) {
+                const p = queue.shift();
+                for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                    const nx = p.x + dx;
+                    const ny = p.y + dy;
+                    if (nx >= 0 && nx < width && ny >= 0 && ny < height &&
+                        mask[ny][nx] === 1 && labels[ny][nx] === -1) {
+                        labels[ny][nx] = count;
+                        queue.push({ x: nx, y: ny });
+                    }
+                }
+            }
+            count++;
+        }
+    }
+    return count;
+}
+
+function legacyCount(mask) {
+    return mask.flat().reduce((a, b) => a + b, 0);
+}
+
+// --- Typed-array versions ---
+
+function label(mask) {
+    const { width, height, data } = mask;
+    const labels = new Int32Array(width * height).fill(-1);
+    const queue = new Int32Array(width * height);
+    let count = 0;
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] !== 1 || labels[i] !== -1) continue;
+        const id = count++;
+        floodFill(width, height, i, 4, n => data[n] === 1 && labels[n] === -1, n => { labels[n] = id; }, queue);
+    }
+    return count;
+}
+
+// --- Harness ---
+
+function time(fn, runs = 3) {
+    let best = Infinity;
+    let result;
+    for (let i = 0; i < runs; i++) {
+        const start = performance.now();
+        result = fn();
+        best = Math.min(best, performance.now() - start);
+    }
+    return { ms: best, result };
+}
+
+/**
+ * Synthetic layer: a large ring (one big component for the flood fill)
+ * plus a grid of small disks.
+ */
+function syntheticLayer(size) {
+    const indices = [];
+    const c = size / 2;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const d = Math.hypot(x - c, y - c);
+            const ring = d < size * 0.45 && d > size * 0.3;
+            const dot = Math.hypot((x % 20) - 10, (y % 20) - 10) < 6;
+            if (ring || dot) indices.push(y * size + x);
+        }
+    }
+    return Uint32Array.from(indices);
+}
+
+function main() {
+    const size = parseInt(process.argv[2], 10) || 600;
+    const indices = syntheticLayer(size);
+    const points = Array.from(indices, i => ({ x: i % size, y: Math.floor(i / size) }));
+
+    console.log(`Raster benchmark: ${size}x${size}, ${indices.length} layer pixels (best of 3)\n`);
+
+    const rows = [];
+    const compare = (name, legacyFn, typedFn) => {
+        const legacy = time(legacyFn);
+        const typed = time(typedFn);
+        if (legacy.result !== typed.result) {
+            throw new Error(`${name}: results differ (${legacy.result} vs ${typed.result})`);
+        }
+        rows.push({ name, legacy: legacy.ms, typed: typed.ms });
+    };
+
+    const legacyMask = legacyLayerToMask(points, size, size);
+    const mask = layerToMask(indices, size, size);
+
+    compare('layerToMask', () => legacyCount(legacyLayerToMask(points, size, size)), () => countMask(layerToMask(indices, size, size)));
+    compare('dilateOnce', () => legacyCount(legacyDilateOnce(legacyMask, null)), () => countMask(dilateOnce(mask, null)));
+    compare('flood fill labelling', () => legacyLabel(legacyMask), () => label(mask));
+    compare('pixel count', () => legacyCount(legacyMask), () => countMask(mask));
+
+    for (const row of rows) {
+        const speedup = (row.legacy / row.typed).toFixed(1);
+        console.log(`${row.name.padEnd(22)} nested ${row.legacy.toFixed(1).padStart(8)} ms   typed ${row.typed.toFixed(1).padStart(8)} ms   ${speedup}x`);
+    }
+}
+
+main();
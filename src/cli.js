@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Command-Line Interface
+ * Every setting in config.js is exposed as a --flag (booleans also as
+ * --no-flag, to switch off what a preset or config file turned on).
+ * Settings are resolved in this order (later wins): defaults < preset <
+ * config file < flags.
+ *
+ * Exit codes: 0 = success, 1 = conversion failed, 2 = bad usage/config,
+ * 3 = converted, but the output missed a quality threshold (--min-psnr, ...).
+ */
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_CONFIG, SETTINGS, mergeConfig, loadConfigFile, validateConfig, setPath } = require('./config');
+const { PRESETS, getPreset } = require('./presets');
+const { getWriter, formatFromPath } = require('./writers');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_QUALITY = 3;
+
+class UsageError extends Error {}
+
+// --quiet keeps warnings, drops progress output
+const QUIET_LOGGER = { log() {}, warn: (...args) => console.warn(...args) };
+
+const BASE_OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    config: { type: 'string', short: 'c' },
+    preset: { type: 'string', short: 'p' },
+    'print-config': { type: 'boolean' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+    version: { type: 'boolean', short: 'v' },
+};
+
+/**
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+    let parsed;
+    try {
+        parsed = parseCliArgs(argv);
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        console.error(`Run with --help to see the available options.`);
+        return EXIT_USAGE;
+    }
+
+    if (parsed.help) {
+        console.log(helpText());
+        return EXIT_OK;
+    }
+    if (parsed.version) {
+        console.log(require('../package.json').version);
+        return EXIT_OK;
+    }
+    if (parsed.printConfig) {
+        console.log(JSON.stringify(parsed.config, null, 2));
+        return EXIT_OK;
+    }
+
+    let quality;
+    try {
+        // Required lazily so --help/--version work without the native canvas module
+        const { convert } = require('./main');
+        quality = await convert(parsed.input, parsed.output, parsed.config, parsed.quiet ? QUIET_LOGGER : console);
+    } catch (err) {
+        console.error(`Error: Failed to convert ${parsed.input}: ${err.message}`);
+        return EXIT_FAILURE;
+    }
+
+    // The SVG is written either way, so it can be inspected
+    if (quality && quality.failures.length > 0) {
+        for (const failure of quality.failures) {
+            console.error(`Error: ${parsed.input}: ${failure}`);
+        }
+        return EXIT_QUALITY;
+    }
+    return EXIT_OK;
+}
+
+/**
+ * Parses argv into input/output paths and a validated config.
+ * @throws {UsageError|Error} on unknown flags, bad values or a bad config file
+ */
+function parseCliArgs(argv) {
+    const options = { ...BASE_OPTIONS };
+    for (const setting of SETTINGS) {
+        options[setting.flag] = { type: setting.type === 'boolean' ? 'boolean' : 'string' };
+        if (setting.type === 'boolean') options[`no-${setting.flag}`] = { type: 'boolean' };
+    }
+
+    let values, positionals;
+    try {
+        ({ values, positionals } = parseArgs({ args: argv, options, allowPositionals: true, strict: true }));
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+
+    const result = {
+        help: Boolean(values.help),
+        version: Boolean(values.version),
+        printConfig: Boolean(values['print-config']),
+        quiet: Boolean(values.quiet),
+    };
+    if (result.help || result.version) return result;
+
+    // Layer the config: defaults < preset < config file < flags
+    const fileConfig = values.config ? loadConfigFile(values.config) : {};
+    const { preset: filePreset, ...fileSettings } = fileConfig;
+    const presetName = values.preset || filePreset;
+
+    let config = DEFAULT_CONFIG;
+    if (presetName) config = mergeConfig(config, getPreset(presetName));
+    config = mergeConfig(config, fileSettings);
+
+    const flagSettings = {};
+    for (const setting of SETTINGS) {
+        let raw = values[setting.flag];
+        if (setting.type === 'boolean' && values[`no-${setting.flag}`]) {
+            if (raw) throw new UsageError(`--${setting.flag} and --no-${setting.flag} cannot be used together`);
+            raw = false;
+        }
+        if (raw === undefined) continue;
+        setPath(flagSettings, setting.key, parseFlagValue(setting, raw));
+    }
+    config = validateConfig(mergeConfig(config, flagSettings));
+    result.config = config;
+
+    if (result.printConfig) return result;
+
+    if (positionals.length === 0) {
+        throw new UsageError('Missing input image path');
+    }
+    if (positionals.length > 2) {
+        throw new UsageError(`Too many arguments: ${positionals.slice(2).join(' ')}`);
+    }
+
+    result.input = positionals[0];
+    const output = values.output || positionals[1];
+    if (result.input === '-' && !output) {
+        throw new UsageError('Reading the image from stdin (-) needs an output path (-o)');
+    }
+    // No --format: go by the output extension (unknown ones get SVG)
+    const fromExtension = !config.output.format && output ? formatFromPath(output) : null;
+    if (fromExtension && fromExtension !== 'svg') {
+        result.config = mergeConfig(config, { output: { format: fromExtension } });
+    }
+    const format = result.config.output.format || 'svg';
+    result.output = output || defaultOutputPath(result.input, getWriter(format).extension);
+    return result;
+}
+
+function parseFlagValue(setting, raw) {
+    if (setting.nullValue !== undefined && raw === setting.nullValue) return null;
+    if (setting.type === 'boolean') return raw;
+    if (setting.type === 'string') return raw;
+    if (setting.type === 'list') return raw.split(',').map(item => item.trim()).filter(Boolean);
+
+    const value = Number(raw);
+    if (raw.trim() === '' || Number.isNaN(value)) {
+        throw new UsageError(`--${setting.flag} expects a number (got "${raw}")`);
+    }
+    return value;
+}
+
+function defaultOutputPath(input, extension) {
+    const { dir, name } = path.parse(input);
+    return path.join(dir, `${name}${extension}`);
+}
+
+function helpText() {
+    const flagWidth = 28;
+    const pad = text => (text.length >= flagWidth ? `${text}  ` : text.padEnd(flagWidth));
+    const settingLines = SETTINGS.map(setting => {
+        const placeholder = setting.type === 'boolean' ? ''
+            : setting.choices ? ` <${setting.choices.join('|')}>`
+            : setting.nullValue !== undefined ? ` <${setting.type === 'string' ? 'text' : 'n'}|${setting.nullValue}>`
+            : setting.type === 'list' ? ' <a,b,...>'
+            : setting.type === 'string' ? ' <text>'
+            : ' <n>';
+        const defaultValue = setting.key.split('.').reduce((o, k) => o[k], DEFAULT_CONFIG);
+        const flag = setting.type === 'boolean' ? `--[no-]${setting.flag}` : `--${setting.flag}`;
+        return `  ${pad(`${flag}${placeholder}`)}${setting.description} (default: ${JSON.stringify(defaultValue)})`;
+    });
+    const presetLines = Object.entries(PRESETS).map(([name, preset]) => `  ${pad(name)}${preset.description}`);
+
+    return [
+        'Usage: svg-turner <input> [output.svg] [options]',
+        '',
+        'Converts a raster image (PNG, JPEG, GIF, BMP, TIFF, WebP; "-" reads stdin) into an SVG',
+        '(or PDF, EPS, DXF, JSON: see --format).',
+        '',
+        'Options:',
+        `  ${pad('-o, --output <file>')}Output path (default: <input>.svg, or the --format extension)`,
+        `  ${pad('-c, --config <file>')}JSON or JS config file`,
+        `  ${pad('-p, --preset <name>')}Start from a named preset`,
+        `  ${pad('--print-config')}Print the resolved config as JSON and exit`,
+        `  ${pad('-q, --quiet')}Only print warnings and errors`,
+        `  ${pad('-h, --help')}Show this help`,
+        `  ${pad('-v, --version')}Show the version`,
+        '',
+        'Pipeline settings:',
+        ...settingLines,
+        '',
+        'Presets:',
+        ...presetLines,
+        '',
+        'Exit codes: 0 = success, 1 = conversion failed, 2 = bad usage or config,',
+        '            3 = output below a quality threshold (--min-psnr, --min-ssim, --max-delta-e)',
+    ].join('\n');
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(err => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = EXIT_FAILURE;
+    });
+}
+
+module.exports = { run, parseCliArgs, UsageError, EXIT_OK, EXIT_FAILURE, EXIT_USAGE, EXIT_QUALITY };
@@ -0,0 +1,116 @@
+/**
+ * Color Space Conversions
+ * sRGB (0-255) <-> CIELAB (D65) and OKLab, used for perceptual quantization.
+ *
+ * Every space exposes `fromRgb(r, g, b) -> [c0, c1, c2]` and
+ * `toRgb(c0, c1, c2) -> {r, g, b}` (rounded and clamped to 0-255).
+ * OKLab is scaled by 100 so its distances are on the same order as CIELAB.
+ */
+
+function srgbToLinear(value) {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return Math.min(255, Math.max(0, Math.round(c * 255)));
+}
+
+// D65 reference white
+const XN = 0.95047;
+const YN = 1.0;
+const ZN = 1.08883;
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+function rgbToLab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / XN;
+    const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / YN;
+    const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / ZN;
+
+    const f = t => (t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function labToRgb(l, a, b) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+
+    const finv = t => (t ** 3 > LAB_EPSILON ? t ** 3 : (116 * t - 16) / LAB_KAPPA);
+    const x = finv(fx) * XN;
+    const y = finv(fy) * YN;
+    const z = finv(fz) * ZN;
+
+    return {
+        r: linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+        g: linearToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+        b: linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+    };
+}
+
+function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return [
+        100 * (0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s),
+        100 * (1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s),
+        100 * (0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s)
+    ];
+}
+
+function oklabToRgb(L, A, B) {
+    const L1 = L / 100;
+    const A1 = A / 100;
+    const B1 = B / 100;
+
+    const l = (L1 + 0.3963377774 * A1 + 0.2158037573 * B1) ** 3;
+    const m = (L1 - 0.1055613458 * A1 - 0.0638541728 * B1) ** 3;
+    const s = (L1 - 0.0894841775 * A1 - 1.2914855480 * B1) ** 3;
+
+    return {
+        r: linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        g: linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        b: linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    };
+}
+
+const clampByte = v => Math.min(255, Math.max(0, Math.round(v)));
+
+const COLOR_SPACES = {
+    rgb: {
+        fromRgb: (r, g, b) => [r, g, b],
+        toRgb: (r, g, b) => ({ r: clampByte(r), g: clampByte(g), b: clampByte(b) })
+    },
+    lab: { fromRgb: rgbToLab, toRgb: labToRgb },
+    oklab: { fromRgb: rgbToOklab, toRgb: oklabToRgb }
+};
+
+/**
+ * @param {string} name - 'rgb', 'lab' or 'oklab'
+ * @throws {Error} for unknown spaces
+ */
+function getColorSpace(name) {
+    const space = COLOR_SPACES[name];
+    if (!space) {
+        throw new Error(`Unknown color space "${name}". Available: ${Object.keys(COLOR_SPACES).join(', ')}`);
+    }
+    return space;
+}
+
+module.exports = { COLOR_SPACES, getColorSpace, rgbToLab, labToRgb, rgbToOklab, oklabToRgb, srgbToLinear, linearToSrgb };
@@ -0,0 +1,354 @@
+/**
+ * Pipeline Configuration
+ * Default settings, the list of every tunable setting (shared by the CLI and
+ * validation), and helpers to merge and load configs.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parsePalette } = require('./step2_quantizers');
+const { listFormats } = require('./writers');
+
+const PRIMITIVE_TYPES = ['circle', 'ellipse', 'rect', 'line', 'polygon'];
+const PREPROCESS_FILTERS = ['median', 'bilateral', 'meanshift', 'posterize', 'sharpen'];
+
+const DEFAULT_CONFIG = {
+    scale: 2.0,            // Lower scale for color images to keep speed up
+    colorCount: 16,        // How many bands of color? (8-16 is good for logos)
+    minArea: 10,
+    speckles: 'merge',     // Regions below minArea: 'merge' into the most similar neighbor, or 'keep' (tracing drops them)
+    smoothingIters: 1,
+    smoothingStrength: 0.5, // How far each pass pulls a point towards its neighbors (0-1)
+    simplifyEpsilon: 1.0,  // Max distance (pixels) of the fitted curves from the smoothed contour
+    cornerAngle: 60,       // Direction change (degrees) on the raw contour that counts as a corner:
+                           // never smoothed, and curves are split there
+    // 'layers': trace each color separately and dilate to hide the cracks
+    // 'shared': trace the whole label image once, neighbors share their edges (gap-free, no dilation)
+    // 'centerline': thin each layer to its skeleton and draw strokes (line art, handwriting)
+    tracingMode: 'layers',
+    // 'stacked': shapes overlap, each painted after the shapes containing it
+    // 'cutout': shapes never overlap (laser cutters, vinyl plotters, embroidery); traces shared boundaries
+    layering: 'stacked',
+    // Reading the input image (see step1_extraction.js)
+    input: {
+        page: 0,              // Page of a multi-page TIFF (0 = first)
+    },
+    // Filters applied to the pixels before quantization, in this order (see step1b_preprocess.js)
+    preprocess: {
+        filters: [],              // Any of 'median', 'bilateral', 'meanshift', 'posterize', 'sharpen'
+        medianRadius: 1,          // Window radius (1 = 3x3)
+        bilateralRadius: 2,
+        bilateralSigmaColor: 25,  // Color difference (0-255) that still gets a high weight
+        meanShiftRadius: 3,       // Spatial window radius
+        meanShiftColor: 20,       // Color range (0-255) of the neighbors that count
+        posterizeLevels: 8,       // Levels per channel
+        sharpenAmount: 0.5,       // Unsharp mask strength
+    },
+    // Color quantization
+    quantization: {
+        method: 'kmeans',     // 'kmeans', 'median-cut', 'octree' or 'palette' (fixed colors, see below)
+        palette: [],          // Colors for the 'palette' method, e.g. ['#0C58CC', '#FFFFFF']
+        seed: 1,              // Same seed = same palette. null picks a random seed (reported in the output)
+        maxIterations: 50,    // Hard cap on K-Means rounds
+        tolerance: 0.5,       // Converged once no center moves more than this (color space units)
+        colorSpace: 'rgb',    // Cluster in 'rgb', or perceptually in 'lab' (CIELAB) / 'oklab'
+    },
+    // Transparency
+    alpha: {
+        threshold: 20,        // Pixels with alpha <= threshold are treated as empty
+        levels: 1,            // Alpha bands per color. 1 = visible pixels are opaque, >1 = layers get fill-opacity
+    },
+    // Replace contours that match a circle, ellipse, rectangle, line or regular
+    // polygon with the native SVG element
+    primitives: {
+        enabled: false,
+        tolerance: 1.0,       // Max distance (pixels) of the contour from the primitive
+        types: PRIMITIVE_TYPES,
+    },
+    // Turn stacks of quantized bands that follow a linear or radial color
+    // ramp back into one shape with a <linearGradient>/<radialGradient> fill
+    gradients: {
+        enabled: false,
+        tolerance: 8,         // Max RMS error (0-255 units) of the original pixels from the fitted ramp
+        edgeThreshold: 12,    // Bands are joined if the original colors across their border differ less than this
+        minArea: 200,         // Smallest gradient region (pixels)
+    },
+    // Stroke tracing ('centerline' mode only)
+    centerline: {
+        background: 'auto',   // 'auto' skips the largest layer if it touches all 4 borders (the paper), 'keep' strokes it too
+    },
+    // Search colorCount, simplifyEpsilon and smoothingIters for a goal (see tune.js).
+    // Any goal turns the search on; the chosen settings are reported and saved in the SVG <metadata>.
+    auto: {
+        maxDeltaE: null,      // Mean ΔE of the result at most this (smallest SVG that meets it)
+        maxBytes: null,       // SVG size budget (lowest ΔE that fits)
+        maxPaths: null,       // Shape count budget (lowest ΔE that fits)
+    },
+    // Render the SVG back to pixels and compare it with the input (see verify.js).
+    // Any threshold or heatmap turns verification on; a missed threshold fails the CLI run.
+    verify: {
+        enabled: false,
+        minPsnr: null,        // dB
+        minSsim: null,        // 0-1
+        maxDeltaE: null,      // Mean ΔE (CIE76)
+        heatmap: null,        // Path of a PNG showing the ΔE of every pixel
+    },
+    // Coordinate system, size and format of the output (see viewport.js, writers.js)
+    output: {
+        format: null,         // 'svg', 'pdf', 'eps', 'dxf' or 'json'; null = svg (the CLI goes by the output file extension)
+        coordinates: 'source', // 'source': coordinates of the input image (scale undone), 'scaled': the upscaled pixel grid
+        width: null,          // Explicit size in `units`; null follows the content (or the other side's aspect ratio)
+        height: null,
+        units: 'px',          // 'px', 'mm' or 'in'
+        dpi: 96,              // Pixels per inch, to convert to 'mm' / 'in'
+        preserveAspectRatio: null, // SVG preserveAspectRatio, e.g. 'xMidYMid meet' or 'none'; null leaves it out
+        crop: 'none',         // 'none' keeps the whole image, 'content' fits the viewBox to the traced shapes
+        padding: 0,           // Extra space around the viewBox (output coordinates)
+    },
+    // Structure of the SVG document, for editing in design tools
+    svg: {
+        groups: false,        // Group the shapes by palette color into <g id="layer-N">
+        colorStyle: 'attributes', // 'attributes' (fill="..."), 'classes' (CSS .color-N) or 'variables' (CSS --color-N)
+        title: null,          // <title>; null = the input file name, '' = none
+        description: null,    // <desc>; null = a summary of the conversion, '' = none
+        precision: 2,         // Decimals of coordinates
+        commands: 'absolute', // Path commands: 'absolute' (M, C) or 'relative' (m, c)
+        compact: false,       // Shortest path syntax (S/L/H/V, implied commands), no indentation or line breaks
+        mergePaths: false,    // Join filled shapes of one color into one path where they do not overlap
+    },
+    // Hybrid dilation settings ('layers' mode only)
+    dilation: {
+        unconditionalPasses: 1,  // Solidify internals
+        smartPasses: 1,          // Close color gaps without bridging
+    }
+};
+
+/**
+ * Every setting that can be changed from outside.
+ * `key` is the (dotted) path inside the config object, `flag` the CLI name.
+ * Settings with a `nullValue` also accept null (spelled `nullValue` on the CLI).
+ * `list` settings are arrays (comma separated on the CLI), `check` adds a custom test.
+ */
+const SETTINGS = [
+    { key: 'scale', flag: 'scale', type: 'number', min: 0.1, description: 'Upscale factor before tracing (higher = smoother, slower)' },
+    { key: 'colorCount', flag: 'colors', type: 'integer', min: 1, description: 'Number of colors to quantize to' },
+    { key: 'minArea', flag: 'min-area', type: 'number', min: 0, description: 'Merge regions / drop shapes smaller than this (pixels)' },
+    { key: 'speckles', flag: 'speckles', type: 'string', choices: ['merge', 'keep'], description: 'Merge regions below --min-area into their most similar neighbor, or keep them' },
+    { key: 'smoothingIters', flag: 'smoothing', type: 'integer', min: 0, description: 'Smoothing passes before curve fitting' },
+    { key: 'smoothingStrength', flag: 'smoothing-strength', type: 'number', min: 0, max: 1, description: 'Pull of each smoothing pass (0 = none, 1 = full)' },
+    { key: 'simplifyEpsilon', flag: 'simplify', type: 'number', min: 0, description: 'Curve fitting tolerance (max distance from the contour, pixels)' },
+    { key: 'cornerAngle', flag: 'corner-angle', type: 'number', min: 1, max: 180, description: 'Direction change (degrees) kept as a sharp corner' },
+    { key: 'tracingMode', flag: 'tracing-mode', type: 'string', choices: ['layers', 'shared', 'centerline'], description: 'Per-layer outlines, gap-free shared boundaries, or stroked centerlines' },
+    { key: 'layering', flag: 'layering', type: 'string', choices: ['stacked', 'cutout'], description: 'Overlapping shapes in containment order, or non-overlapping cutouts' },
+    { key: 'centerline.background', flag: 'centerline-background', type: 'string', choices: ['auto', 'keep'], description: 'Centerline mode: skip the paper layer (auto) or stroke it too' },
+    { key: 'input.page', flag: 'page', type: 'integer', min: 0, description: 'Page of a multi-page TIFF (0 = first)' },
+    { key: 'preprocess.filters', flag: 'preprocess', type: 'list', check: checkPreprocessFilters, description: 'Filters before quantization, in order (comma separated)' },
+    { key: 'preprocess.medianRadius', flag: 'median-radius', type: 'integer', min: 1, max: 10, description: 'Median filter window radius' },
+    { key: 'preprocess.bilateralRadius', flag: 'bilateral-radius', type: 'integer', min: 1, max: 10, description: 'Bilateral filter window radius' },
+    { key: 'preprocess.bilateralSigmaColor', flag: 'bilateral-sigma-color', type: 'number', min: 1, description: 'Bilateral filter color sigma (0-255 units)' },
+    { key: 'preprocess.meanShiftRadius', flag: 'mean-shift-radius', type: 'integer', min: 1, max: 10, description: 'Mean-shift spatial radius' },
+    { key: 'preprocess.meanShiftColor', flag: 'mean-shift-color', type: 'number', min: 1, description: 'Mean-shift color range (0-255 units)' },
+    { key: 'preprocess.posterizeLevels', flag: 'posterize-levels', type: 'integer', min: 2, max: 256, description: 'Posterize levels per channel' },
+    { key: 'preprocess.sharpenAmount', flag: 'sharpen-amount', type: 'number', min: 0, description: 'Unsharp mask strength' },
+    { key: 'quantization.method', flag: 'quantizer', type: 'string', choices: ['kmeans', 'median-cut', 'octree', 'palette'], description: 'Quantization strategy' },
+    { key: 'quantization.palette', flag: 'palette', type: 'list', check: checkPalette, description: 'Fixed colors for --quantizer palette (comma separated hex)' },
+    { key: 'quantization.seed', flag: 'seed', type: 'integer', min: 0, nullValue: 'random', description: 'K-Means seed, or "random"' },
+    { key: 'quantization.maxIterations', flag: 'max-iterations', type: 'integer', min: 1, description: 'Max K-Means iterations' },
+    { key: 'quantization.tolerance', flag: 'tolerance', type: 'number', min: 0, description: 'K-Means convergence tolerance (color space units)' },
+    { key: 'quantization.colorSpace', flag: 'color-space', type: 'string', choices: ['rgb', 'lab', 'oklab'], description: 'Color space used for clustering' },
+    { key: 'alpha.threshold', flag: 'alpha-threshold', type: 'integer', min: 0, max: 254, description: 'Alpha at or below this is transparent' },
+    { key: 'alpha.levels', flag: 'alpha-levels', type: 'integer', min: 1, max: 16, description: 'Alpha bands per color (>1 emits fill-opacity)' },
+    { key: 'primitives.enabled', flag: 'primitives', type: 'boolean', description: 'Emit <circle>, <rect>, ... for contours that match them' },
+    { key: 'primitives.tolerance', flag: 'primitive-tolerance', type: 'number', min: 0, description: 'Max distance (pixels) of a contour from its primitive' },
+    { key: 'primitives.types', flag: 'primitive-types', type: 'list', check: checkPrimitiveTypes, description: 'Primitives to look for (comma separated)' },
+    { key: 'gradients.enabled', flag: 'gradients', type: 'boolean', description: 'Replace banded color ramps with SVG gradients' },
+    { key: 'gradients.tolerance', flag: 'gradient-tolerance', type: 'number', min: 0, description: 'Max RMS color error (0-255) of a gradient fit' },
+    { key: 'gradients.edgeThreshold', flag: 'gradient-edge', type: 'number', min: 0, description: 'Max color step across a band border inside a gradient' },
+    { key: 'gradients.minArea', flag: 'gradient-min-area', type: 'number', min: 0, description: 'Smallest region (pixels) turned into a gradient' },
+    { key: 'auto.maxDeltaE', flag: 'auto-delta-e', type: 'number', min: 0, nullValue: 'off', description: 'Auto-tune colors/simplify/smoothing for this mean ΔE' },
+    { key: 'auto.maxBytes', flag: 'auto-max-bytes', type: 'integer', min: 1, nullValue: 'off', description: 'Auto-tune for the best result within this SVG size' },
+    { key: 'auto.maxPaths', flag: 'auto-max-paths', type: 'integer', min: 1, nullValue: 'off', description: 'Auto-tune for the best result within this many shapes' },
+    { key: 'verify.enabled', flag: 'verify', type: 'boolean', description: 'Render the SVG back and report PSNR, SSIM and ΔE' },
+    { key: 'verify.minPsnr', flag: 'min-psnr', type: 'number', min: 0, nullValue: 'off', description: 'Fail (exit 3) below this PSNR (dB)' },
+    { key: 'verify.minSsim', flag: 'min-ssim', type: 'number', min: 0, max: 1, nullValue: 'off', description: 'Fail (exit 3) below this SSIM' },
+    { key: 'verify.maxDeltaE', flag: 'max-delta-e', type: 'number', min: 0, nullValue: 'off', description: 'Fail (exit 3) above this mean ΔE' },
+    { key: 'verify.heatmap', flag: 'diff-image', type: 'string', nullValue: 'none', description: 'Write a ΔE heatmap PNG to this path' },
+    { key: 'output.format', flag: 'format', type: 'string', check: checkOutputFormat, nullValue: 'auto', description: 'Output format: svg, pdf, eps, dxf or json (auto = from the output file extension)' },
+    { key: 'output.coordinates', flag: 'coordinates', type: 'string', choices: ['source', 'scaled'], description: 'SVG coordinates of the source image, or of the upscaled grid' },
+    { key: 'output.width', flag: 'width', type: 'number', min: 0, nullValue: 'auto', description: 'SVG width in --units (auto = from the content / aspect ratio)' },
+    { key: 'output.height', flag: 'height', type: 'number', min: 0, nullValue: 'auto', description: 'SVG height in --units (auto = from the content / aspect ratio)' },
+    { key: 'output.units', flag: 'units', type: 'string', choices: ['px', 'mm', 'in'], description: 'Unit of the SVG width and height' },
+    { key: 'output.dpi', flag: 'dpi', type: 'number', min: 1, description: 'Pixels per inch, for mm / in sizes' },
+    { key: 'output.preserveAspectRatio', flag: 'preserve-aspect-ratio', type: 'string', check: checkPreserveAspectRatio, nullValue: 'default', description: 'SVG preserveAspectRatio (e.g. "xMidYMid slice", "none")' },
+    { key: 'output.crop', flag: 'crop', type: 'string', choices: ['none', 'content'], description: 'Keep the whole image, or crop the viewBox to the traced content' },
+    { key: 'output.padding', flag: 'padding', type: 'number', min: 0, description: 'Space around the viewBox (output coordinates)' },
+    { key: 'svg.groups', flag: 'groups', type: 'boolean', description: 'Group the shapes by color into <g id="layer-N">' },
+    { key: 'svg.colorStyle', flag: 'color-style', type: 'string', choices: ['attributes', 'classes', 'variables'], description: 'Fill attributes, CSS classes, or CSS classes with --color-N variables' },
+    { key: 'svg.title', flag: 'title', type: 'string', nullValue: 'auto', description: 'SVG <title> (auto = input file name, "" = none)' },
+    { key: 'svg.description', flag: 'description', type: 'string', nullValue: 'auto', description: 'SVG <desc> (auto = conversion summary, "" = none)' },
+    { key: 'svg.precision', flag: 'precision', type: 'integer', min: 0, max: 6, description: 'Decimals of SVG coordinates' },
+    { key: 'svg.commands', flag: 'path-commands', type: 'string', choices: ['absolute', 'relative'], description: 'Absolute or relative path commands' },
+    { key: 'svg.compact', flag: 'compact', type: 'boolean', description: 'Shortest path syntax (S/L/H/V) and no whitespace between elements' },
+    { key: 'svg.mergePaths', flag: 'merge-paths', type: 'boolean', description: 'Join same-colored shapes that do not overlap into one path' },
+    { key: 'dilation.unconditionalPasses', flag: 'dilate-unconditional', type: 'integer', min: 0, description: 'Unconditional dilation passes (layers mode)' },
+    { key: 'dilation.smartPasses', flag: 'dilate-smart', type: 'integer', min: 0, description: 'Coverage-limited dilation passes (layers mode)' },
+];
+
+/**
+ * The settings that differ from DEFAULT_CONFIG, by dotted key,
+ * e.g. { colorCount: 6, 'primitives.enabled': true }.
+ */
+function changedSettings(config) {
+    const changed = {};
+    for (const setting of SETTINGS) {
+        const value = getPath(config, setting.key);
+        if (value === undefined) continue;
+        if (JSON.stringify(value) !== JSON.stringify(getPath(DEFAULT_CONFIG, setting.key))) changed[setting.key] = value;
+    }
+    return changed;
+}
+
+/**
+ * Deep merges plain objects. Arrays and other values from `overrides` replace the base.
+ */
+function mergeConfig(base, overrides = {}) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value === undefined) continue;
+        if (isPlainObject(value) && isPlainObject(base[key])) {
+            result[key] = mergeConfig(base[key], value);
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Loads a config file. `.json` files are parsed, `.js`/`.cjs` files are
+ * required and must export a config object.
+ */
+function loadConfigFile(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Config file not found: ${filePath}`);
+    }
+
+    const ext = path.extname(resolved).toLowerCase();
+    let config;
+    if (ext === '.js' || ext === '.cjs') {
+        config = require(resolved);
+    } else {
+        try {
+            config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        } catch (err) {
+            throw new Error(`Invalid JSON in config file ${filePath}: ${err.message}`);
+        }
+    }
+
+    if (!isPlainObject(config)) {
+        throw new Error(`Config file ${filePath} must contain an object`);
+    }
+    return config;
+}
+
+/**
+ * Checks every known setting for type, range and allowed values.
+ * @throws {Error} listing all problems at once
+ */
+function validateConfig(config) {
+    const problems = [];
+    for (const setting of SETTINGS) {
+        const value = getPath(config, setting.key);
+        if (value === undefined) continue;
+        if (value === null && setting.nullValue !== undefined) continue;
+
+        const problem = checkValue(setting, value);
+        if (problem) problems.push(`${setting.key} ${problem}`);
+    }
+    const quantization = config.quantization || {};
+    if (quantization.method === 'palette' && !(quantization.palette && quantization.palette.length > 0)) {
+        problems.push(`quantization.palette must list at least one color when quantization.method is 'palette'`);
+    }
+    if (config.layering === 'cutout' && config.tracingMode === 'centerline') {
+        problems.push(`layering 'cutout' needs filled shapes and cannot be combined with tracingMode 'centerline'`);
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    }
+    return config;
+}
+
+function checkValue(setting, value) {
+    switch (setting.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return `must be an integer (got ${JSON.stringify(value)})`;
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number (got ${JSON.stringify(value)})`;
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `must be true or false (got ${JSON.stringify(value)})`;
+            break;
+        case 'list':
+            if (!Array.isArray(value)) return `must be a list (got ${JSON.stringify(value)})`;
+            break;
+        default:
+            if (typeof value !== 'string') return `must be a string (got ${JSON.stringify(value)})`;
+    }
+    if (setting.min !== undefined && value < setting.min) return `must be >= ${setting.min} (got ${value})`;
+    if (setting.max !== undefined && value > setting.max) return `must be <= ${setting.max} (got ${value})`;
+    if (setting.choices && !setting.choices.includes(value)) return `must be one of ${setting.choices.join(', ')} (got ${JSON.stringify(value)})`;
+    if (setting.check) return setting.check(value);
+    return null;
+}
+
+function checkPalette(value) {
+    try {
+        parsePalette(value);
+        return null;
+    } catch (err) {
+        return `is invalid: ${err.message}`;
+    }
+}
+
+function checkPreprocessFilters(value) {
+    const unknown = value.filter(name => !PREPROCESS_FILTERS.includes(name));
+    return unknown.length > 0 ? `has unknown filters ${unknown.join(', ')} (available: ${PREPROCESS_FILTERS.join(', ')})` : null;
+}
+
+function checkOutputFormat(value) {
+    const formats = listFormats();
+    return formats.includes(value) ? null : `must be one of ${formats.join(', ')} (got ${JSON.stringify(value)})`;
+}
+
+function checkPreserveAspectRatio(value) {
+    return /^(none|x(Min|Mid|Max)Y(Min|Mid|Max)( (meet|slice))?)$/.test(value)
+        ? null
+        : `must be 'none' or an alignment like 'xMidYMid' with an optional 'meet' or 'slice' (got ${JSON.stringify(value)})`;
+}
+
+function checkPrimitiveTypes(value) {
+    const unknown = value.filter(type => !PRIMITIVE_TYPES.includes(type));
+    return unknown.length > 0 ? `has unknown types ${unknown.join(', ')} (available: ${PRIMITIVE_TYPES.join(', ')})` : null;
+}
+
+function getPath(obj, dottedKey) {
+    return dottedKey.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, dottedKey, value) {
+    const keys = dottedKey.split('.');
+    let target = obj;
+    for (const k of keys.slice(0, -1)) {
+        if (!isPlainObject(target[k])) target[k] = {};
+        target = target[k];
+    }
+    target[keys[keys.length - 1]] = value;
+    return obj;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { DEFAULT_CONFIG, SETTINGS, changedSettings, mergeConfig, loadConfigFile, validateConfig, getPath, setPath };
@@ -0,0 +1,69 @@
+/**
+ * Corner Detection
+ * Finds the points of a contour where its direction changes sharply.
+ *
+ * The direction change at point i is the angle between the chords
+ * (i - span -> i) and (i -> i + span). Looking a few points ahead and back
+ * instead of at the direct neighbors skips the 45/90 degree steps of pixel
+ * staircases. Of several neighboring candidates only the sharpest is kept.
+ */
+
+/**
+ * @param {Array<{x,y}>} points - Contour points (a closed contour does not repeat its first point)
+ * @param {object} options
+ * @param {boolean} [options.closed=true] - Wrap around (open polylines never report their end points)
+ * @param {number} [options.angle=60] - Minimum direction change in degrees
+ * @param {number} [options.span=3] - How many points to look back and ahead
+ * @returns {number[]} Ascending indices of the corner points
+ */
+function detectCorners(points, options = {}) {
+    const { closed = true, angle = 60, span: maxSpan = 3 } = options;
+    const n = points.length;
+    const span = Math.min(maxSpan, Math.floor((n - 1) / 2));
+    if (span < 1 || angle >= 180) return [];
+
+    const at = i => (closed ? points[(i + n) % n] : points[Math.min(n - 1, Math.max(0, i))]);
+
+    // Direction change at every point, 0 where it cannot be measured
+    const turns = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        if (!closed && (i === 0 || i === n - 1)) continue;
+        turns[i] = turnAngle(at(i - span), points[i], at(i + span));
+    }
+
+    const corners = [];
+    const isCorner = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+        if (turns[i] < angle) continue;
+
+        // Non-maximum suppression: no sharper neighbor, and no equally
+        // sharp neighbor that was already picked
+        let isPeak = true;
+        for (let k = -span; k <= span && isPeak; k++) {
+            if (k === 0) continue;
+            const j = closed ? (i + k + n) % n : i + k;
+            if (j < 0 || j >= n) continue;
+            if (turns[j] > turns[i] || (turns[j] === turns[i] && isCorner[j])) isPeak = false;
+        }
+        if (isPeak) {
+            isCorner[i] = 1;
+            corners.push(i);
+        }
+    }
+    return corners;
+}
+
+/**
+ * Direction change in degrees between (a -> b) and (b -> c). 0 for degenerate chords.
+ */
+function turnAngle(a, b, c) {
+    const ux = b.x - a.x, uy = b.y - a.y;
+    const vx = c.x - b.x, vy = c.y - b.y;
+    const lu = Math.hypot(ux, uy);
+    const lv = Math.hypot(vx, vy);
+    if (lu < 1e-9 || lv < 1e-9) return 0;
+    const cos = Math.max(-1, Math.min(1, (ux * vx + uy * vy) / (lu * lv)));
+    return Math.acos(cos) * 180 / Math.PI;
+}
+
+module.exports = { detectCorners, turnAngle };
@@ -0,0 +1,164 @@
+/**
+ * Image Sources
+ * Reads whatever extractPixels is given into the bytes of an encoded image,
+ * and tells the format from those bytes (never from a file extension):
+ *
+ * - a file path
+ * - a data URL ("data:image/png;base64,...")
+ * - a Buffer, Uint8Array or ArrayBuffer
+ * - a readable stream (e.g. process.stdin), read to its end
+ *
+ * Problems are reported with the error classes below (all ImageInputError),
+ * so callers can tell bad input from bugs:
+ *   ImageReadError        - the source could not be read (missing file, failed stream, empty data)
+ *   UnsupportedImageError - readable, but not a format (or variant) that can be decoded
+ *   ImageDecodeError      - a supported format, but the data is corrupt or truncated
+ */
+const fs = require('fs');
+
+class ImageInputError extends Error {
+    /**
+     * @param {string} message
+     * @param {string|null} format - 'png', 'tiff', ... when known
+     */
+    constructor(message, format = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.format = format;
+    }
+}
+class ImageReadError extends ImageInputError {}
+class UnsupportedImageError extends ImageInputError {}
+class ImageDecodeError extends ImageInputError {}
+
+/**
+ * @param {string|Buffer|Uint8Array|ArrayBuffer|NodeJS.ReadableStream} source
+ * @returns {Promise<Buffer>} The encoded image
+ * @throws {ImageReadError}
+ */
+async function readImageSource(source) {
+    let bytes;
+    if (typeof source === 'string') {
+        bytes = source.startsWith('data:') ? decodeDataUrl(source) : await readFile(source);
+    } else if (Buffer.isBuffer(source)) {
+        bytes = source;
+    } else if (source instanceof Uint8Array || source instanceof ArrayBuffer) {
+        bytes = Buffer.from(source);
+    } else if (isReadable(source)) {
+        bytes = await readStream(source);
+    } else {
+        throw new ImageReadError('Expected a file path, data URL, Buffer, readable stream or { width, height, pixels } object');
+    }
+
+    if (bytes.length === 0) throw new ImageReadError('The image data is empty');
+    return bytes;
+}
+
+async function readFile(file) {
+    try {
+        return await fs.promises.readFile(file);
+    } catch (err) {
+        const reason = err.code === 'ENOENT' ? 'no such file'
+            : err.code === 'EISDIR' ? 'it is a directory'
+            : err.code === 'EACCES' ? 'permission denied'
+            : err.message;
+        throw new ImageReadError(`Cannot read ${file}: ${reason}`);
+    }
+}
+
+/**
+ * data:[<media type>][;base64],<data>
+ */
+function decodeDataUrl(url) {
+    const comma = url.indexOf(',');
+    if (comma === -1) throw new ImageReadError('Malformed data URL (no comma before the data)');
+    const header = url.slice(5, comma);
+    const data = url.slice(comma + 1);
+    if (/;base64$/i.test(header)) return Buffer.from(data, 'base64');
+    // Percent-encoded bytes
+    return Buffer.from(data.replace(/%([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+}
+
+function isReadable(source) {
+    return source !== null && typeof source === 'object' && typeof source.pipe === 'function' &&
+        typeof source[Symbol.asyncIterator] === 'function';
+}
+
+async function readStream(stream) {
+    const chunks = [];
+    try {
+        for await (const chunk of stream) {
+            chunks.push(typeof chunk === 'string' ? Buffer.from(chunk, 'latin1') : chunk);
+        }
+    } catch (err) {
+        throw new ImageReadError(`Cannot read the image stream: ${err.message}`);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * The image format from the first bytes ("magic numbers").
+ * @param {Buffer} bytes
+ * @returns {string|null} 'png', 'jpeg', 'gif', 'bmp', 'webp', 'tiff', 'svg', or a name
+ *          of a known but unsupported format ('bigtiff', 'avif/heic', 'psd', 'ico'); null if unknown
+ */
+function detectFormat(bytes) {
+    const ascii = (start, end) => bytes.toString('latin1', start, end);
+    if (bytes.length >= 8 && bytes.readUInt32BE(0) === 0x89504E47 && bytes.readUInt32BE(4) === 0x0D0A1A0A) return 'png';
+    if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+    if (ascii(0, 4) === 'GIF8') return 'gif';
+    if (ascii(0, 2) === 'BM') return 'bmp';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+    if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+    if (ascii(0, 4) === 'II+\0' || ascii(0, 4) === 'MM\0+') return 'bigtiff';
+    if (ascii(4, 8) === 'ftyp') return 'avif/heic';
+    if (ascii(0, 4) === '8BPS') return 'psd';
+    if (bytes.length >= 4 && bytes.readUInt32BE(0) === 0x00000100) return 'ico';
+    if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(ascii(0, 1024))) return 'svg';
+    return null;
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    const signatures = {
+        png: Buffer.from('89504e470d0a1a0a', 'hex'),
+        jpeg: Buffer.from('ffd8ffe0', 'hex'),
+        gif: Buffer.from('GIF89a'),
+        bmp: Buffer.from('BM\0\0'),
+        webp: Buffer.from('RIFF\0\0\0\0WEBPVP8L'),
+        'tiff (II)': Buffer.from('II*\0'),
+        'tiff (MM)': Buffer.from('MM\0*'),
+        bigtiff: Buffer.from('II+\0'),
+        avif: Buffer.from('\0\0\0\x1cftypavif', 'latin1'),
+        ico: Buffer.from('000001000100', 'hex'),
+        svg: Buffer.from('<?xml version="1.0"?>\n<!-- logo -->\n<svg xmlns="http://www.w3.org/2000/svg"/>'),
+        text: Buffer.from('hello world'),
+    };
+
+    console.log("--- Image Source Test ---");
+    for (const [name, bytes] of Object.entries(signatures)) {
+        console.log(`${name.padEnd(10)} -> ${detectFormat(bytes)}`);
+    }
+
+    (async () => {
+        const base64 = await readImageSource(`data:image/png;base64,${signatures.png.toString('base64')}`);
+        console.log(`base64 data URL:  ${detectFormat(base64)}`); // png
+        const percent = await readImageSource('data:image/svg+xml,%3Csvg%20xmlns%3D%22x%22%2F%3E');
+        console.log(`percent data URL: ${percent}`); // <svg xmlns="x"/>
+
+        const unreadable = { 'comma-less data URL': 'data:image/png;base64', 'empty buffer': Buffer.alloc(0), 'missing file': 'does-not-exist.png', 'number': 42 };
+        for (const [label, source] of Object.entries(unreadable)) {
+            const error = await readImageSource(source).then(() => null, err => err);
+            console.log(`${label.padEnd(20)} ${error ? `${error.name}: ${error.message}` : 'read (should have failed)'}`);
+        }
+    })();
+}
+
+module.exports = {
+    readImageSource,
+    detectFormat,
+    ImageInputError,
+    ImageReadError,
+    UnsupportedImageError,
+    ImageDecodeError
+};
@@ -0,0 +1,98 @@
+/**
+ * SVG Turner - Library Entry Point
+ * 
+ * Example:
+ *   const { vectorize } = require('svg-turner');
+ *   const { svg, shapes } = await vectorize('logo.png', { preset: 'logo', colorCount: 6 });
+ */
+const path = require('path');
+const { extractPixels } = require('./step1_extraction');
+const { runPipeline, SILENT_LOGGER } = require('./pipeline');
+const { verifySVG, shouldVerify } = require('./verify');
+const { autoTune, shouldTune } = require('./tune');
+const { DEFAULT_CONFIG, changedSettings, mergeConfig, validateConfig } = require('./config');
+const { PRESETS, getPreset } = require('./presets');
+const { registerWriter } = require('./writers');
+const { ImageInputError, ImageReadError, UnsupportedImageError, ImageDecodeError } = require('./image_source');
+
+/**
+ * Vectorizes a raster image.
+ * 
+ * @param {string|Buffer|NodeJS.ReadableStream|{width: number, height: number, pixels: ArrayLike<number>}} input
+ *        File path or data URL, encoded image bytes (PNG, JPEG, GIF, BMP, TIFF, WebP),
+ *        a readable stream of them, or decoded RGBA pixels (see step1_extraction.js)
+ * @param {object} options - Any config setting (see config.js), plus:
+ *        `preset` (name of a preset to start from) and
+ *        `logger` ({log, warn}, silent by default)
+ * @returns {Promise<{
+ *   svg: string,
+ *   output: string|Buffer, // the document in config.output.format (see writers.js), the SVG for 'svg'
+ *   format: string,
+ *   width: number,
+ *   height: number,
+ *   layers: Array<{color: {r,g,b}, opacity: number, indices: Uint32Array, gradient?: object}>, // pixel indices (y * width + x); gradient layers see step2c_gradients.js
+ *   shapes: Array<{layer: number, color: {r,g,b}, fillColor: string, opacity: number, area: number,
+ *                  contour: Array<{x,y}>, curves: Array, holes: Array<{contour, curves}>}>,
+ *   metadata: {seed: number, source?: string, auto?: {colorCount, simplifyEpsilon, smoothingIters}, settings: object}, // settings: changed ones, by dotted key
+ *   viewport: {viewBox: {x, y, width, height}, width: number, height: number, units: string, preserveAspectRatio: string|null, scale: number}, // see viewport.js
+ *   tuning: null | {colorCount, simplifyEpsilon, smoothingIters, deltaE, bytes, paths, met: boolean, tried: number}, // see tune.js
+ *   quality: null | {psnr, ssim, deltaE: {mean, p95, max}, deltaEMap: Float32Array, failures: string[]}, // see verify.js
+ *   config: object
+ * }>}
+ * @throws {ImageInputError} when the input cannot be read or decoded (ImageReadError,
+ *         UnsupportedImageError or ImageDecodeError, see image_source.js)
+ */
+async function vectorize(input, options = {}) {
+    const { preset, logger = SILENT_LOGGER, ...settings } = options;
+
+    let config = DEFAULT_CONFIG;
+    if (preset) config = mergeConfig(config, getPreset(preset));
+    config = validateConfig(mergeConfig(config, settings));
+
+    const pixelData = await extractPixels(input, config.scale, { page: config.input.page, logger });
+
+    // Recorded in the SVG: where it came from and what differs from the defaults
+    const source = typeof input === 'string' && !input.startsWith('data:') ? path.basename(input) : undefined;
+
+    // Auto mode: search the settings first, then run once more with the winner
+    // (the chosen settings go into the SVG <metadata> so they can be reused)
+    let tuning = null;
+    let auto;
+    if (shouldTune(config.auto)) {
+        ({ config, report: tuning } = await autoTune(pixelData, config, logger, { source }));
+        const { colorCount, simplifyEpsilon, smoothingIters } = tuning;
+        auto = { colorCount, simplifyEpsilon, smoothingIters };
+    }
+
+    const extraMetadata = { source, auto, settings: changedSettings(config) };
+    const { svg, output, format, layers, shapes, metadata, viewport } = runPipeline(pixelData, config, logger, { metadata: extraMetadata });
+
+    // Round trip check (renders the SVG again), only when asked for
+    const quality = shouldVerify(config.verify) ? await verifySVG(pixelData, svg, config.verify, viewport) : null;
+
+    return {
+        svg,
+        output,
+        format,
+        width: pixelData.width,
+        height: pixelData.height,
+        layers,
+        shapes,
+        metadata,
+        viewport,
+        tuning,
+        quality,
+        config
+    };
+}
+
+module.exports = {
+    vectorize,
+    registerWriter,
+    DEFAULT_CONFIG,
+    PRESETS,
+    ImageInputError,
+    ImageReadError,
+    UnsupportedImageError,
+    ImageDecodeError
+};
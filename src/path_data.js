@@ -0,0 +1,179 @@
+/**
+ * Path Data Serialization
+ * Writes fitted curves as the `d` attribute of an SVG path.
+ *
+ * - precision: decimals of every number (rounded; trailing zeros never appear)
+ * - relative:  lower case commands with offsets from the current point. The
+ *              offsets are taken between rounded absolute points, so rounding
+ *              errors do not add up along the path.
+ * - compact:   shortest syntax. Straight curves (control points on the
+ *              chord) become L, H or V, or are left to Z when they close the
+ *              path. Curves whose first control point mirrors the previous
+ *              one become S. Repeated commands are implied, leading zeros go
+ *              ("0.5" -> ".5") and so do separators where the numbers stay
+ *              unambiguous ("M1.5.5L-2 3").
+ *
+ * Without `compact` every curve is a C and all tokens are separated by one
+ * space ("M 10 10 C 15 5 25 5 30 10 Z").
+ */
+
+/**
+ * @param {number} precision - Decimals
+ * @param {boolean} compact - Drop the leading zero of fractions
+ * @returns {function(number): string}
+ */
+function createNumberFormat(precision = 2, compact = false) {
+    const factor = 10 ** precision;
+    return value => formatUnits(Math.round(value * factor), factor, compact);
+}
+
+/**
+ * @param {Array<{curves: Array<{p0, p1, p2, p3}>, closed?: boolean}>} subpaths - One per
+ *        contour (outer contour, then holes); `closed` defaults to true
+ * @param {{precision?: number, relative?: boolean, compact?: boolean}} options
+ * @returns {string} Path data
+ */
+function formatPathData(subpaths, options = {}) {
+    const { precision = 2, relative = false, compact = false } = options;
+    const factor = 10 ** precision;
+    // Everything below works on integer grid units, so comparisons are exact
+    const snap = p => ({ x: Math.round(p.x * factor), y: Math.round(p.y * factor) });
+    const writer = createWriter(factor, compact);
+
+    let current = { x: 0, y: 0 };
+    const emit = (command, points) => {
+        const numbers = [];
+        for (const p of points) {
+            if ('x' in p) numbers.push(relative ? p.x - current.x : p.x);
+            if ('y' in p) numbers.push(relative ? p.y - current.y : p.y);
+        }
+        writer.command(relative ? command.toLowerCase() : command, numbers);
+    };
+
+    for (const { curves, closed = true } of subpaths) {
+        if (curves.length === 0) continue;
+        const start = snap(curves[0].p0);
+        emit('M', [start]);
+        current = start;
+
+        let previousControl = null; // Second control point of the previous C/S
+        curves.forEach((curve, index) => {
+            const p1 = snap(curve.p1), p2 = snap(curve.p2), p3 = snap(curve.p3);
+            const straight = compact && onSegment(p1, current, p3) && onSegment(p2, current, p3);
+
+            if (straight) {
+                const isLast = index === curves.length - 1;
+                if (closed && isLast && same(p3, start)) return; // Z draws it
+                if (p3.y === current.y) emit('H', [{ x: p3.x }]);
+                else if (p3.x === current.x) emit('V', [{ y: p3.y }]);
+                else emit('L', [p3]);
+                previousControl = null;
+            } else if (compact && previousControl && same(p1, { x: 2 * current.x - previousControl.x, y: 2 * current.y - previousControl.y })) {
+                emit('S', [p2, p3]);
+                previousControl = p2;
+            } else {
+                emit('C', [p1, p2, p3]);
+                previousControl = p2;
+            }
+            current = p3;
+        });
+
+        if (closed) {
+            writer.command(relative ? 'z' : 'Z', []);
+            current = start;
+        }
+    }
+    return writer.toString();
+}
+
+/**
+ * The contours of a shape as sub-paths: the outer contour, then its holes.
+ * Centerline strokes are one sub-path, open unless the line is a ring.
+ * @returns {Array<{curves: Array, closed: boolean}>}
+ */
+function shapeSubpaths(shape) {
+    if (shape.strokeWidth) return [{ curves: shape.curves, closed: Boolean(shape.closed) }];
+    return [{ curves: shape.curves, closed: true }, ...(shape.holes || []).map(hole => ({ curves: hole.curves, closed: true }))];
+}
+
+/**
+ * Collects commands and numbers (in grid units) into path data.
+ */
+function createWriter(factor, compact) {
+    let text = '';
+    let lastCommand = null;
+    let lastToken = null; // 'command' or the text of the last number
+
+    return {
+        command(letter, numbers) {
+            // A repeated command is implied (not after M, where repeats mean L)
+            const implied = compact && letter === lastCommand && numbers.length > 0 && !/[MmZz]/.test(letter);
+            if (!implied) {
+                if (!compact && text) text += ' ';
+                text += letter;
+                lastToken = 'command';
+            }
+            lastCommand = letter;
+            for (const units of numbers) {
+                const number = formatUnits(units, factor, compact);
+                if (!compact) {
+                    text += ' ';
+                } else if (lastToken !== 'command' && !number.startsWith('-') &&
+                    !(number.startsWith('.') && lastToken.includes('.'))) {
+                    text += ' ';
+                }
+                text += number;
+                lastToken = number;
+            }
+        },
+        toString() {
+            return text;
+        }
+    };
+}
+
+function formatUnits(units, factor, compact) {
+    const text = String((units || 0) / factor); // `|| 0` turns -0 into 0
+    return compact ? text.replace(/^(-?)0\./, '$1.') : text;
+}
+
+/**
+ * True if p lies on the segment a-b, within half a grid unit. A curve with both
+ * control points on its chord traces exactly that line.
+ */
+function onSegment(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return same(p, a);
+    const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq;
+    if (t < 0 || t > 1) return false;
+    return Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / Math.sqrt(lengthSq) <= 0.5;
+}
+
+function same(a, b) {
+    return a.x === b.x && a.y === b.y;
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    const p = (x, y) => ({ x, y });
+    const line = (a, b) => ({ p0: a, p1: a, p2: b, p3: b });
+    // A rounded square: two straight sides, a smooth (S) pair of curves, a side closed by Z
+    const curves = [
+        line(p(0, 0), p(10, 0)),
+        line(p(10, 0), p(10, 10.25)),
+        { p0: p(10, 10.25), p1: p(10, 15), p2: p(7.5, 17.5), p3: p(5, 17.5) },
+        { p0: p(5, 17.5), p1: p(2.5, 17.5), p2: p(0, 15), p3: p(0, 12.5) },
+        line(p(0, 12.5), p(0, 0)),
+    ];
+    const hole = [line(p(3, 3), p(6, 3)), line(p(6, 3), p(3, 6)), line(p(3, 6), p(3, 3))];
+    const subpaths = [{ curves }, { curves: hole }];
+
+    console.log("--- Path Data Test ---");
+    for (const options of [{}, { relative: true }, { compact: true }, { compact: true, relative: true, precision: 1 }]) {
+        const d = formatPathData(subpaths, options);
+        console.log(`${JSON.stringify(options).padEnd(48)} ${String(d.length).padStart(3)} chars: ${d}`);
+    }
+}
+
+module.exports = { formatPathData, createNumberFormat, shapeSubpaths };
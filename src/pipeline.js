@@ -0,0 +1,360 @@
+/**
+ * Pipeline
+ * Runs steps 1b-7 on already extracted pixels and returns the SVG together
+ * with the intermediate shape model. No file I/O happens here; progress
+ * goes through the `logger` ({log, warn}), silent unless one is passed.
+ */
+const { preprocessPixels } = require('./step1b_preprocess');
+const { quantizeImage, layerToMask, layersToLabelMap } = require('./step2_quantize'); 
+const { mergeSpeckles } = require('./step2a_speckles');
+const { dilateHybrid } = require('./step2b_dilate');
+const { detectGradients } = require('./step2c_gradients');
+const { traceContours } = require('./step3_tracing');
+const { tracePlanarMap } = require('./step3_planar_map');
+const { traceCenterlines } = require('./step3_centerline');
+const { smoothPoints } = require('./step3b_smoothing');
+const { detectCorners } = require('./corners');
+const { fitCurves, lineCurve, reverseCurves } = require('./step5_curve_fitting');
+const { recognizePrimitives } = require('./step6_primitives');
+const { buildSVG } = require('./step7_svg');
+const { getWriter } = require('./writers');
+const { orderShapes } = require('./zorder');
+const { scaleShapes, computeViewport } = require('./viewport');
+const { createMask, countMask } = require('./raster');
+
+const SILENT_LOGGER = { log() {}, warn() {} };
+
+/**
+ * @param {{width: number, height: number, pixels: Uint8ClampedArray}} pixelData
+ * @param {object} config - Full pipeline config (see config.js)
+ * @param {{log: Function, warn: Function}} logger
+ * @param {object} options - { metadata }: extra values for the SVG <metadata> (next to the seed);
+ *        `metadata.source` (the input file name) also goes into <title> and <desc>
+ * @returns {{svg: string, output: string|Buffer, format: string, layers: Array<{color, opacity, indices: Uint32Array, gradient?: object}>, shapes: Array<object>, metadata: {seed: number}, viewport: object}}
+ *          `output` is the document in config.output.format (see writers.js; the SVG itself
+ *          for 'svg'). `layers` index the pixel grid, `shapes` are in output coordinates.
+ *          `viewport` is the one from viewport.js plus `scale`: pixels of the grid per output unit.
+ */
+function runPipeline(pixelData, config, logger = SILENT_LOGGER, options = {}) {
+    // 0. PREPROCESS: denoise / flatten the pixels (the caller keeps the originals)
+    pixelData = preprocessPixels(pixelData, config.preprocess, logger);
+
+    // 1. QUANTIZE: Split image into separate color layers
+    // A null seed means "random": pick one now so it can be reported and reused.
+    const seed = config.quantization.seed ?? Math.floor(Math.random() * 2 ** 31);
+    logger.log(`Splitting into ${config.colorCount} colors (seed ${seed})...`);
+    let layers = quantizeImage(pixelData, config.colorCount, {
+        ...config.quantization,
+        seed,
+        alphaThreshold: config.alpha.threshold,
+        alphaLevels: config.alpha.levels,
+        logger
+    });
+
+    // SMART DILATION SETUP: Create Coverage Mask
+    // Identify all pixels that belong to the image (alpha > threshold)
+    // We will only dilate INTO these pixels, preventing expansion into empty space.
+    const { width, height, pixels } = pixelData;
+    const coverageMask = createMask(width, height);
+    let validPixelCount = 0;
+
+    for (let i = 0; i < width * height; i++) {
+        if (pixels[i * 4 + 3] > config.alpha.threshold) {
+            coverageMask.data[i] = 1;
+            validPixelCount++;
+        }
+    }
+    logger.log(`Coverage Mask Created. Valid pixels: ${validPixelCount}`);
+
+    // DIAGNOSTIC: Check Pixel Coverage
+    const totalAssigned = layers.reduce((sum, l) => sum + l.indices.length, 0);
+    logger.log(`Total pixels assigned to layers: ${totalAssigned}`);
+    logger.log(`Coverage: ${(totalAssigned / validPixelCount * 100).toFixed(1)}%`);
+
+    // Islands below minArea join their most similar neighbor instead of leaving a hole
+    if (config.speckles === 'merge') {
+        layers = mergeSpeckles(layers, width, height, config.minArea, logger);
+    }
+
+    // Bands of a smooth color ramp become one gradient layer each
+    if (config.gradients.enabled) {
+        layers = detectGradients(pixelData, layers, config.gradients, logger);
+    }
+
+    // 2. TRACE: per layer, once over the whole label image, or along stroke centers
+    const tracers = {
+        layers: () => traceLayers(layers, pixelData, coverageMask, config, logger),
+        shared: () => traceSharedBoundaries(layers, pixelData, config, logger),
+        centerline: () => traceCenterlineLayers(layers, pixelData, config, logger),
+    };
+    // Cutout output must not overlap: only the planar map guarantees that
+    const tracingMode = config.layering === 'cutout' ? 'shared' : config.tracingMode;
+    if (tracingMode !== config.tracingMode) {
+        logger.log(`Cutout layering: tracing shared boundaries instead of '${config.tracingMode}'.`);
+    }
+    const allShapes = tracers[tracingMode]();
+    for (const shape of allShapes) {
+        const { gradient } = layers[shape.layer];
+        if (!gradient) continue;
+        shape.gradient = gradient;
+        shape.fillColor = `url(#${gradient.id})`;
+    }
+
+    // 3. Swap matching contours for circles, rectangles, ...
+    logger.log(`\nTotal shapes: ${allShapes.length}`);
+    if (config.primitives.enabled && config.layering === 'cutout') {
+        // A circle would no longer follow the edge it shares with its neighbors
+        logger.warn('Warning: primitives are not used with cutout layering (they would overlap their neighbors).');
+    } else if (config.primitives.enabled) {
+        recognizePrimitives(allShapes, config.primitives, logger);
+    }
+
+    // 4. Build Final SVG
+    // Every shape is painted after the shapes that contain it (see zorder.js)
+    orderShapes(allShapes);
+    logger.log(`Ordered shapes by containment (${allShapes.filter(s => s.parent === -1).length} top-level).`);
+
+    // Back to the coordinates of the source image (undo config.scale) unless asked not to
+    const factor = config.output.coordinates === 'source' ? 1 / config.scale : 1;
+    const shapes = scaleShapes(allShapes, factor);
+    const viewport = { ...computeViewport(shapes, width * factor, height * factor, config.output), scale: 1 / factor };
+
+    const metadata = { seed, ...options.metadata };
+    const { title, description, ...structure } = config.svg;
+    const writerOptions = {
+        ...structure,
+        metadata,
+        title: title ?? metadata.source,
+        description: description ?? describeConversion(metadata.source, layers.length, shapes.length, tracingMode)
+    };
+    const svg = buildSVG(viewport.viewBox.width, viewport.viewBox.height, shapes, { ...writerOptions, viewport });
+
+    // Other formats are written from the same shapes; the SVG is still needed for verification
+    const format = config.output.format || 'svg';
+    const output = format === 'svg' ? svg : getWriter(format).write(shapes, viewport, writerOptions);
+
+    return { svg, output, format, layers, shapes, metadata, viewport };
+}
+
+/**
+ * Default <desc>, e.g. "Vectorized from logo.png by svg-turner: 6 colors, 48 shapes, 'layers' tracing."
+ */
+function describeConversion(source, colorCount, shapeCount, tracingMode) {
+    const from = source ? ` from ${source}` : '';
+    const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+    return `Vectorized${from} by svg-turner: ${count(colorCount, 'color')}, ${count(shapeCount, 'shape')}, '${tracingMode}' tracing.`;
+}
+
+/**
+ * 'layers' mode: every color layer is dilated and traced on its own.
+ */
+function traceLayers(layers, pixelData, coverageMask, config, logger) {
+    let allShapes = [];
+
+    // PROCESS EACH LAYER SEPARATELY
+    for (let i = 0; i < layers.length; i++) {
+        const layer = layers[i];
+        const rgbColor = `rgb(${layer.color.r},${layer.color.g},${layer.color.b})`;
+        
+        logger.log(`\n=== Layer ${i+1}/${layers.length} (${rgbColor}) ===`);
+        // logger.log(`Pixel count: ${layer.indices.length}`);
+
+        // Convert pixel indices to binary mask
+        const mask = layerToMask(layer.indices, pixelData.width, pixelData.height);
+        
+        // HYBRID DILATION: Pass 1 Unconditional, Pass 2 Smart
+        const dilated = dilateHybrid(mask, coverageMask, config.dilation);
+        
+        // Diagnostic: compare before/after
+        const beforeSum = layer.indices.length;
+        const afterSum = countMask(dilated);
+        logger.log(`Dilation: ${beforeSum} → ${afterSum} pixels (+${afterSum - beforeSum})`);
+
+        // Trace
+        const contours = traceContours(dilated);
+        logger.log(`Raw contours found: ${contours.length}`);
+
+        // Build one shape per outer contour...
+        const shapeByContour = new Map();
+        contours.forEach((contour, index) => {
+            if (contour.isHole) return;
+            const area = getPolygonArea(contour.points);
+            
+            if (area < config.minArea) return;
+            
+            // Store area for sorting later
+            shapeByContour.set(index, {
+                layer: i,
+                color: layer.color,
+                fillColor: rgbColor,
+                opacity: layer.opacity,
+                area,
+                contour: contour.points,
+                curves: contourToCurves(contour.points, config),
+                holes: []
+            });
+        });
+
+        // ...then cut its holes out of it (compound path, evenodd)
+        contours.forEach(contour => {
+            if (!contour.isHole) return;
+            const parent = shapeByContour.get(contour.parent);
+            
+            // Holes of dropped shapes go with them, tiny holes are simply filled
+            if (!parent || getPolygonArea(contour.points) < config.minArea) return;
+            
+            const holeCurves = contourToCurves(contour.points, config);
+            if (holeCurves.length > 0) parent.holes.push({ contour: contour.points, curves: holeCurves });
+        });
+
+        const layerShapes = [...shapeByContour.values()];
+        logger.log(`Shapes kept: ${layerShapes.length} (holes: ${layerShapes.reduce((n, s) => n + s.holes.length, 0)})`);
+
+        allShapes = allShapes.concat(layerShapes);
+    }
+
+    return allShapes;
+}
+
+/**
+ * 'shared' mode: the label image is traced once as a planar map.
+ * Every edge between two regions is fitted once and used by both of them
+ * (reversed on one side), so neighbors meet exactly without overlapping.
+ */
+function traceSharedBoundaries(layers, pixelData, config, logger) {
+    const labels = layersToLabelMap(layers, pixelData.width, pixelData.height);
+    const { edges, regions } = tracePlanarMap(labels);
+    logger.log(`\nPlanar map: ${regions.length} regions, ${edges.length} shared edges`);
+
+    const edgeCurves = edges.map(edge => {
+        if (edge.closed) {
+            // Tiny loops can collapse during fitting; keep them as straight cracks
+            const curves = contourToCurves(edge.points, config);
+            return curves.length > 0
+                ? curves
+                : edge.points.map((p, i) => lineCurve(p, edge.points[(i + 1) % edge.points.length]));
+        }
+
+        // Both ends stay on their nodes, so neighboring edges still meet
+        return contourToCurves(edge.points, config, false);
+    });
+
+    const cycleToCurves = cycle => cycle.edges.flatMap(ref =>
+        ref.reversed ? reverseCurves(edgeCurves[ref.edge]) : edgeCurves[ref.edge]
+    );
+
+    // Raw crack polygon of a cycle (edge end points are shared, keep them once)
+    const cycleToPoints = cycle => cycle.edges.flatMap(ref => {
+        const points = edges[ref.edge].points;
+        const ordered = ref.reversed ? points.slice().reverse() : points;
+        return edges[ref.edge].closed ? ordered : ordered.slice(0, -1);
+    });
+
+    // Regions below minArea are kept: dropping them would open a gap
+    return regions.map(region => {
+        const { color, opacity } = layers[region.label];
+        const outer = region.cycles.find(c => !c.isHole);
+        return {
+            layer: region.label,
+            color,
+            fillColor: `rgb(${color.r},${color.g},${color.b})`,
+            opacity,
+            area: region.area,
+            contour: cycleToPoints(outer),
+            curves: cycleToCurves(outer),
+            holes: region.cycles.filter(c => c.isHole).map(cycle => ({
+                contour: cycleToPoints(cycle),
+                curves: cycleToCurves(cycle)
+            }))
+        };
+    });
+}
+
+/**
+ * 'centerline' mode: every layer is thinned to its skeleton and drawn as
+ * stroked open paths (see step3_centerline.js).
+ */
+function traceCenterlineLayers(layers, pixelData, config, logger) {
+    const { width, height } = pixelData;
+    const background = config.centerline.background === 'auto' ? findBackgroundLayer(layers, width, height) : -1;
+    const allShapes = [];
+
+    layers.forEach((layer, i) => {
+        const rgbColor = `rgb(${layer.color.r},${layer.color.g},${layer.color.b})`;
+        logger.log(`\n=== Layer ${i+1}/${layers.length} (${rgbColor}) ===`);
+        if (i === background) {
+            logger.log('Background (paper) layer, skipped.');
+            return;
+        }
+
+        const lines = traceCenterlines(layerToMask(layer.indices, width, height));
+        let kept = 0;
+        for (const line of lines) {
+            const area = line.points.length * line.width;
+            if (area < config.minArea) continue;
+
+            const curves = contourToCurves(line.points, config, line.closed);
+            const last = line.points[line.points.length - 1];
+            allShapes.push({
+                layer: i,
+                color: layer.color,
+                fillColor: rgbColor,
+                opacity: layer.opacity,
+                area,
+                contour: line.points,
+                // Single pixels become a dot (zero-length stroke with round caps)
+                curves: curves.length > 0 ? curves : [lineCurve(line.points[0], last)],
+                holes: [],
+                strokeWidth: line.width,
+                closed: line.closed
+            });
+            kept++;
+        }
+        logger.log(`Centerlines: ${lines.length} traced, ${kept} kept`);
+    });
+
+    return allShapes;
+}
+
+/**
+ * The paper of a scan: the largest layer, if it touches all four image
+ * borders and is not the only layer. -1 if there is none.
+ */
+function findBackgroundLayer(layers, width, height) {
+    if (layers.length < 2) return -1;
+    let largest = 0;
+    layers.forEach((layer, i) => {
+        if (layer.indices.length > layers[largest].indices.length) largest = i;
+    });
+
+    let sides = 0;
+    for (const idx of layers[largest].indices) {
+        const x = idx % width;
+        const y = (idx - x) / width;
+        if (y === 0) sides |= 1;
+        if (x === width - 1) sides |= 2;
+        if (y === height - 1) sides |= 4;
+        if (x === 0) sides |= 8;
+    }
+    return sides === 15 ? largest : -1;
+}
+
+function contourToCurves(points, config, closed = true) {
+    // Corners come from the raw trace; smoothing keeps the point count, so the
+    // same indices pin them during smoothing and split the curves afterwards.
+    const corners = detectCorners(points, { closed, angle: config.cornerAngle });
+    const smoothed = smoothPoints(points, config.smoothingIters, { closed, strength: config.smoothingStrength, corners });
+    return fitCurves(smoothed, { closed, tolerance: config.simplifyEpsilon, corners });
+}
+
+function getPolygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const j = (i + 1) % points.length;
+        area += points[i].x * points[j].y;
+        area -= points[j].x * points[i].y;
+    }
+    return Math.abs(area) / 2;
+}
+
+module.exports = { runPipeline, SILENT_LOGGER };
@@ -0,0 +1,72 @@
+/**
+ * Named Presets
+ * Partial configs that are merged over the defaults (see config.js).
+ * A config file or CLI flags can still override any value of a preset.
+ */
+const PRESETS = {
+    logo: {
+        description: 'Few flat colors, crisp edges, native circles/rectangles',
+        config: {
+            colorCount: 8,
+            minArea: 20,
+            smoothingIters: 1,
+            simplifyEpsilon: 0.8,
+            primitives: {
+                enabled: true,
+            },
+        }
+    },
+    illustration: {
+        description: 'More color bands, moderate smoothing',
+        config: {
+            colorCount: 24,
+            minArea: 10,
+            smoothingIters: 1,
+            simplifyEpsilon: 1.0,
+        }
+    },
+    photo: {
+        description: 'Many colors, gap-free tracing, edge-preserving denoise',
+        config: {
+            scale: 1.0,
+            colorCount: 32,
+            minArea: 30,
+            smoothingIters: 2,
+            simplifyEpsilon: 1.5,
+            tracingMode: 'shared',
+            preprocess: {
+                filters: ['bilateral'],
+            },
+        }
+    },
+    'pixel-art': {
+        description: 'No upscaling or smoothing, hard pixel edges',
+        config: {
+            scale: 1.0,
+            colorCount: 16,
+            minArea: 0,
+            smoothingIters: 0,
+            simplifyEpsilon: 0,
+            tracingMode: 'shared',
+            dilation: {
+                unconditionalPasses: 0,
+                smartPasses: 0,
+            }
+        }
+    },
+};
+
+/**
+ * @param {string} name - Preset name
+ * @returns {object} Partial config
+ * @throws {Error} if the preset does not exist
+ */
+function getPreset(name) {
+    const preset = PRESETS[name];
+    if (!preset) {
+        throw new Error(`Unknown preset "${name}". Available presets: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    return preset.config;
+}
+
+module.exports = { PRESETS, getPreset };
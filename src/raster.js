@@ -0,0 +1,119 @@
+/**
+ * Raster Core
+ * Flat typed-array buffers shared by every step instead of nested
+ * `Array(height).map(() => Array(width))` grids.
+ *
+ * - Mask:      { width, height, data: Uint8Array }  (0/1 per pixel)
+ * - Label map: { width, height, data: Int32Array }  (-1 = none)
+ *
+ * Pixel (x, y) lives at data[y * width + x]. Layers store their pixels as a
+ * Uint32Array of those indices.
+ */
+
+// Neighbor offsets as [dx, dy]
+const OFFSETS_4 = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const OFFSETS_8 = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]];
+
+function createMask(width, height) {
+    return { width, height, data: new Uint8Array(width * height) };
+}
+
+function createLabelMap(width, height, fill = -1) {
+    const data = new Int32Array(width * height);
+    if (fill !== 0) data.fill(fill);
+    return { width, height, data };
+}
+
+/**
+ * Mask with a 1 at every listed pixel index.
+ */
+function maskFromIndices(indices, width, height) {
+    const mask = createMask(width, height);
+    for (let i = 0; i < indices.length; i++) {
+        mask.data[indices[i]] = 1;
+    }
+    return mask;
+}
+
+/**
+ * Number of set pixels.
+ */
+function countMask(mask) {
+    let count = 0;
+    const { data } = mask;
+    for (let i = 0; i < data.length; i++) count += data[i];
+    return count;
+}
+
+/**
+ * Breadth-first flood fill over a width x height grid.
+ * Visits every pixel reachable from `start` for which `accept(index)` is true
+ * and calls `visit(index)` once per pixel. `visit` must make `accept` return
+ * false for that pixel (usually by labelling it), otherwise pixels repeat.
+ *
+ * The queue is a flat Int32Array with a head index (no O(n) queue.shift()).
+ * Pass a reusable `queue` of at least width * height entries when filling
+ * many regions of the same image, to avoid one allocation per region.
+ *
+ * @returns {number} Number of visited pixels
+ */
+function floodFill(width, height, start, connectivity, accept, visit, queue = new Int32Array(width * height)) {
+    const offsets = connectivity === 8 ? OFFSETS_8 : OFFSETS_4;
+    let head = 0;
+    let tail = 0;
+
+    visit(start);
+    queue[tail++] = start;
+
+    while (head < tail) {
+        const idx = queue[head++];
+        const x = idx % width;
+        const y = (idx - x) / width;
+
+        for (let k = 0; k < offsets.length; k++) {
+            const nx = x + offsets[k][0];
+            const ny = y + offsets[k][1];
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+            const n = ny * width + nx;
+            if (accept(n)) {
+                visit(n);
+                queue[tail++] = n;
+            }
+        }
+    }
+
+    return tail;
+}
+
+/**
+ * Splits a label map into 4-connected regions of equal labels
+ * (-1 pixels form regions too).
+ *
+ * @param {{width, height, data: Int32Array}} labels
+ * @returns {{regionIds: Int32Array, regions: Array<{label: number, area: number}>}}
+ *          Region index per pixel, and the label and pixel count per region
+ */
+function labelRegions(labels) {
+    const { width, height, data } = labels;
+    const regionIds = createLabelMap(width, height, -1).data;
+    const regions = [];
+    const queue = new Int32Array(width * height);
+
+    for (let i = 0; i < data.length; i++) {
+        if (regionIds[i] !== -1) continue;
+
+        const id = regions.length;
+        const label = data[i];
+        const area = floodFill(width, height, i, 4,
+            n => regionIds[n] === -1 && data[n] === label,
+            n => { regionIds[n] = id; },
+            queue);
+
+        regions.push({ label, area });
+    }
+
+    return { regionIds, regions };
+}
+
+module.exports = { createMask, createLabelMap, maskFromIndices, countMask, floodFill, labelRegions, OFFSETS_4, OFFSETS_8 };
@@ -1,17 +1,41 @@
 const fs = require('fs');
 const { loadImage, createCanvas } = require('canvas');
+const { readImageSource, detectFormat, ImageReadError, UnsupportedImageError, ImageDecodeError } = require('./image_source');
+const { decodeTIFF, readExifOrientation } = require('./tiff');
+
+const FORMAT_NAMES = {
+    png: 'PNG', jpeg: 'JPEG', gif: 'GIF', bmp: 'BMP', svg: 'SVG', tiff: 'TIFF', webp: 'WebP',
+    bigtiff: 'BigTIFF', 'avif/heic': 'AVIF/HEIC', psd: 'Photoshop (PSD)', ico: 'ICO'
+};
 
 /**
  * Step 1: Pixel Extraction
- * Loads a PNG image and extracts raw pixel data, optionally upscaling it.
- * 
- * @param {string} filePath - Path to the PNG file
+ * Loads an image and extracts raw pixel data, optionally upscaling it.
+ *
+ * Sources: a file path, a data URL, a Buffer, a readable stream (read to its
+ * end, e.g. process.stdin) or already decoded RGBA pixels (see image_source.js).
+ *
+ * Formats are told from the bytes:
+ * - PNG, JPEG, GIF (first frame), BMP and SVG are decoded by node-canvas
+ * - TIFF by tiff.js (`page` picks the page of a multi-page file)
+ * - WebP by the optional `sharp` package, when it is installed
+ *
+ * Pixels come out in sRGB, the right way up: a PNG gAMA chunk is converted
+ * (unless sRGB or iCCP say the file already is sRGB-ish: ICC profiles are not
+ * applied), and EXIF orientation is applied for JPEG (node-canvas does it),
+ * PNG (eXIf chunk), TIFF and WebP.
+ *
+ * @param {string|Buffer|NodeJS.ReadableStream|{width: number, height: number, pixels: ArrayLike<number>}} source
+ *        Path or data URL, encoded image bytes, a stream of them, or decoded RGBA pixels
+ *        (`data` instead of `pixels` works too, as in ImageData)
  * @param {number} scaleFactor - Multiplier for upscaling (default 1 = no scale)
+ * @param {{page?: number, logger?: {log: Function, warn: Function}}} options
  * @returns {Promise<{width: number, height: number, pixels: Uint8ClampedArray}>}
+ * @throws {ImageReadError|UnsupportedImageError|ImageDecodeError} for input that cannot be used
  */
-async function extractPixels(filePath, scaleFactor = 1) {
+async function extractPixels(source, scaleFactor = 1, options = {}) {
     // 1. Load the image
-    const image = await loadImage(filePath);
+    const image = isRawPixels(source) ? rawToCanvas(source) : await decodeImage(await readImageSource(source), options);
 
     // 2. Create a canvas (scaled if needed)
     const width = Math.floor(image.width * scaleFactor);
@@ -43,6 +67,177 @@ async function extractPixels(filePath, scaleFactor = 1) {
     };
 }
 
+/**
+ * Encoded bytes to something drawImage takes (an Image or a canvas).
+ */
+async function decodeImage(bytes, options) {
+    const { page = 0, logger } = options;
+    const format = detectFormat(bytes);
+
+    switch (format) {
+        case 'png': {
+            const image = await loadWithCanvas(bytes, format);
+            const info = readPNGInfo(bytes);
+            const gamma = info.srgb || info.iccProfile !== null ? null : info.gamma;
+            if (info.iccProfile !== null && !/srgb/i.test(info.iccProfile) && logger) {
+                logger.warn(`Warning: the PNG's ICC profile '${info.iccProfile}' is not applied, its colors are read as sRGB.`);
+            }
+            // Within 1% of the sRGB curve is close enough to leave alone
+            const needsGamma = gamma !== null && Math.abs(gamma * 2.2 - 1) > 0.01;
+            if (!needsGamma && info.orientation === 1) return image;
+
+            let pixels = imageToPixels(image);
+            if (needsGamma) pixels = applyGamma(pixels, gamma);
+            return rawToCanvas(orientPixels(pixels, info.orientation));
+        }
+        case 'jpeg':
+        case 'gif':
+        case 'bmp':
+        case 'svg':
+            return loadWithCanvas(bytes, format);
+        case 'tiff': {
+            const decoded = decodeTIFF(bytes, { page });
+            return rawToCanvas(orientPixels(decoded, decoded.orientation));
+        }
+        case 'webp':
+            return rawToCanvas(await decodeWithSharp(bytes, format));
+        case null:
+            throw new UnsupportedImageError(`Unrecognized image data (starts with ${bytes.subarray(0, 8).toString('hex').replace(/(..)/g, '$1 ').trim()}); supported formats are PNG, JPEG, GIF, BMP, TIFF and WebP`);
+        default:
+            throw new UnsupportedImageError(`${FORMAT_NAMES[format]} images are not supported; convert to PNG, JPEG, GIF, BMP, TIFF or WebP first`, format);
+    }
+}
+
+async function loadWithCanvas(bytes, format) {
+    try {
+        return await loadImage(bytes);
+    } catch (err) {
+        throw new ImageDecodeError(`Cannot decode the ${FORMAT_NAMES[format]} image: ${err.message}`, format);
+    }
+}
+
+async function decodeWithSharp(bytes, format) {
+    let sharp;
+    try {
+        sharp = require('sharp');
+    } catch (err) {
+        throw new UnsupportedImageError(`${FORMAT_NAMES[format]} input needs the optional 'sharp' package (npm install sharp)`, format);
+    }
+    try {
+        // rotate() without an angle applies the EXIF orientation
+        const { data, info } = await sharp(bytes).rotate().toColorspace('srgb').ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        return { width: info.width, height: info.height, pixels: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length) };
+    } catch (err) {
+        throw new ImageDecodeError(`Cannot decode the ${FORMAT_NAMES[format]} image: ${err.message}`, format);
+    }
+}
+
+/**
+ * The color and orientation chunks of a PNG (the pixels are left to node-canvas).
+ * @returns {{gamma: number|null, srgb: boolean, iccProfile: string|null, orientation: number}}
+ */
+function readPNGInfo(bytes) {
+    const info = { gamma: null, srgb: false, iccProfile: null, orientation: 1 };
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = bytes.readUInt32BE(offset);
+        const type = bytes.toString('latin1', offset + 4, offset + 8);
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IEND') break;
+        if (type === 'gAMA' && length === 4) info.gamma = data.readUInt32BE(0) / 100000 || null;
+        if (type === 'sRGB') info.srgb = true;
+        if (type === 'iCCP') info.iccProfile = data.toString('latin1', 0, Math.max(0, data.indexOf(0)));
+        if (type === 'eXIf') info.orientation = readExifOrientation(data);
+        offset += 12 + length;
+    }
+    return info;
+}
+
+/**
+ * Stored samples are linear^gamma; sRGB displays expect roughly linear^(1/2.2).
+ */
+function applyGamma(pixelData, gamma) {
+    const table = new Uint8ClampedArray(256);
+    for (let v = 0; v < 256; v++) table[v] = Math.round(255 * Math.pow(v / 255, 1 / (gamma * 2.2)));
+    const pixels = new Uint8ClampedArray(pixelData.pixels);
+    for (let i = 0; i < pixels.length; i += 4) {
+        pixels[i] = table[pixels[i]];
+        pixels[i + 1] = table[pixels[i + 1]];
+        pixels[i + 2] = table[pixels[i + 2]];
+    }
+    return { ...pixelData, pixels };
+}
+
+/**
+ * Turns pixels stored with EXIF orientation 2-8 the right way up (1 = as stored).
+ */
+function orientPixels(pixelData, orientation) {
+    const { width, height, pixels } = pixelData;
+    if (!(orientation >= 2 && orientation <= 8)) return pixelData;
+
+    const swap = orientation >= 5; // 5-8 turn by 90 degrees
+    const outWidth = swap ? height : width;
+    const outHeight = swap ? width : height;
+    // Source pixel of output pixel (x, y)
+    const sources = {
+        2: (x, y) => [width - 1 - x, y],
+        3: (x, y) => [width - 1 - x, height - 1 - y],
+        4: (x, y) => [x, height - 1 - y],
+        5: (x, y) => [y, x],
+        6: (x, y) => [y, height - 1 - x],
+        7: (x, y) => [width - 1 - y, height - 1 - x],
+        8: (x, y) => [width - 1 - y, x],
+    };
+    const sourceOf = sources[orientation];
+
+    const out = new Uint8ClampedArray(outWidth * outHeight * 4);
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            const [sx, sy] = sourceOf(x, y);
+            const from = (sy * width + sx) * 4, to = (y * outWidth + x) * 4;
+            out[to] = pixels[from];
+            out[to + 1] = pixels[from + 1];
+            out[to + 2] = pixels[from + 2];
+            out[to + 3] = pixels[from + 3];
+        }
+    }
+    return { width: outWidth, height: outHeight, pixels: out };
+}
+
+function imageToPixels(image) {
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    return { width: image.width, height: image.height, pixels: ctx.getImageData(0, 0, image.width, image.height).data };
+}
+
+function isRawPixels(source) {
+    return source !== null && typeof source === 'object' && !Buffer.isBuffer(source) &&
+        'width' in source && 'height' in source && (source.pixels !== undefined || source.data !== undefined);
+}
+
+/**
+ * Wraps decoded RGBA pixels in a canvas so they go through the same scaling path.
+ */
+function rawToCanvas({ width, height, pixels, data }) {
+    pixels = pixels ?? data;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new ImageReadError(`Raw pixel data needs a positive integer width and height (got ${width}x${height})`);
+    }
+    if (!pixels || typeof pixels.length !== 'number') {
+        throw new ImageReadError('Raw pixel data must be an array of RGBA bytes');
+    }
+    if (pixels.length !== width * height * 4) {
+        throw new ImageReadError(`Raw pixel data must have width * height * 4 bytes (expected ${width * height * 4}, got ${pixels.length})`);
+    }
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    imageData.data.set(pixels);
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
 // --- Test Execution (if run directly) ---
 if (require.main === module) {
     const testFile = 'test_square.png';
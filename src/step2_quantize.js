@@ -1,142 +1,278 @@
+const { getColorSpace } = require('./color');
+const { maskFromIndices, createLabelMap } = require('./raster');
+const { readChannels, nearestCenter, medianCutQuantize, octreeQuantize, paletteQuantize } = require('./step2_quantizers');
+
 /**
  * Step 2: Color Quantization (Improved)
- * Reduces image to a fixed palette using K-Means Clustering.
+ * Reduces image to a fixed palette. K-Means Clustering is the default
+ * strategy; median cut, octree and a fixed user palette live in
+ * step2_quantizers.js and share the same input/output.
  * 
  * Improvements:
  * 1. Only samples non-transparent pixels for initialization.
  * 2. Logs pixel counts per layer.
  * 3. Handles "empty" layers gracefully.
+ * 4. Alpha-aware: pixels at or below `alphaThreshold` are invisible. With
+ *    `alphaLevels` > 1 every color is further split into alpha bands and each
+ *    layer carries the median opacity of its pixels (soft shadows, glows,
+ *    anti-aliased edges). With 1 level every visible pixel counts as opaque.
+ * 
+ * @param {{width: number, height: number, pixels: Uint8ClampedArray}} pixelData
+ * @param {number} colorCount - Number of colors (ignored by the 'palette' method)
+ * @param {object} options - { method, seed, maxIterations, tolerance, colorSpace, palette,
+ *        alphaThreshold, alphaLevels, logger }
+ *        method is 'kmeans' (default), 'median-cut', 'octree' or 'palette';
+ *        logger is {log, warn} and defaults to the console
+ * @returns {Array<{color: {r,g,b}, opacity: number, indices: Uint32Array}>}
+ *          indices are pixel indices (y * width + x), see raster.js
  */
-
-function quantizeImage(pixelData, colorCount = 8) {
+function quantizeImage(pixelData, colorCount = 8, options = {}) {
+    const { method = 'kmeans', alphaThreshold = 20, alphaLevels = 1, logger = console } = options;
     const { width, height, pixels } = pixelData;
     const totalPixels = width * height;
+
+    const quantizer = QUANTIZERS[method];
+    if (!quantizer) {
+        throw new Error(`Unknown quantization method "${method}". Available: ${Object.keys(QUANTIZERS).join(', ')}`);
+    }
     
     // 1. Identify Valid Pixels (Index of every non-transparent pixel)
     // This prevents us from initializing centers on invisible background pixels.
-    const validPixelIndices = [];
+    let validCount = 0;
     for (let i = 0; i < totalPixels; i++) {
-        const a = pixels[i * 4 + 3];
-        if (a > 20) { // Threshold for "visible"
-            validPixelIndices.push(i);
-        }
+        if (pixels[i * 4 + 3] > alphaThreshold) validCount++; // Threshold for "visible"
+    }
+    const validPixelIndices = new Uint32Array(validCount);
+    for (let i = 0, k = 0; i < totalPixels; i++) {
+        if (pixels[i * 4 + 3] > alphaThreshold) validPixelIndices[k++] = i;
     }
 
-    console.log(`   [Quantize] Found ${validPixelIndices.length} valid pixels out of ${totalPixels}.`);
+    logger.log(`   [Quantize] Found ${validPixelIndices.length} valid pixels out of ${totalPixels}.`);
 
     if (validPixelIndices.length === 0) {
-        console.warn("   [Quantize] Warning: Image appears fully transparent!");
+        logger.warn("   [Quantize] Warning: Image appears fully transparent!");
         return [];
     }
 
-    // 2. Initialize Centers (Randomly pick from VALID pixels)
-    // We pick more than we need and then prune close duplicates to get a good spread.
-    let centers = [];
-    const seenColors = new Set();
-    let attempts = 0;
-    
-    // Try to find distinct starting colors
-    while (centers.length < colorCount && attempts < 1000) {
-        attempts++;
-        const randIdx = validPixelIndices[Math.floor(Math.random() * validPixelIndices.length)];
-        const r = pixels[randIdx * 4];
-        const g = pixels[randIdx * 4 + 1];
-        const b = pixels[randIdx * 4 + 2];
-        
-        // Simple key to avoid exact duplicates
-        const key = `${r},${g},${b}`;
-        if (!seenColors.has(key)) {
-            centers.push({ r, g, b });
-            seenColors.add(key);
+    // 2. Pick the palette and assign every valid pixel to one entry
+    const { palette, assignment } = quantizer(pixels, validPixelIndices, colorCount, { ...options, logger });
+
+    // 3. Format Output
+    // One cluster per (palette entry, alpha band)
+    const bandWidth = (256 - alphaThreshold) / alphaLevels;
+    const clusterOf = new Int32Array(validPixelIndices.length);
+    const clusters = Array(palette.length * alphaLevels).fill(0).map(() => ({
+        size: 0,
+        alphaHistogram: alphaLevels > 1 ? new Uint32Array(256) : null
+    }));
+    validPixelIndices.forEach((pIdx, i) => {
+        const a = pixels[pIdx * 4 + 3];
+        const band = Math.min(alphaLevels - 1, Math.floor((a - alphaThreshold) / bandWidth));
+        const c = assignment[i] * alphaLevels + band;
+        clusterOf[i] = c;
+        clusters[c].size++;
+        if (clusters[c].alphaHistogram) clusters[c].alphaHistogram[a]++;
+    });
+
+    // Fill each cluster's index buffer (sizes are known now)
+    const buffers = clusters.map(cluster => new Uint32Array(cluster.size));
+    const fill = new Int32Array(clusters.length);
+    validPixelIndices.forEach((pIdx, i) => {
+        const c = clusterOf[i];
+        buffers[c][fill[c]++] = pIdx;
+    });
+
+    // Filter out empty clusters
+    const results = clusters.map((cluster, index) => ({
+        color: palette[Math.floor(index / alphaLevels)],
+        opacity: cluster.alphaHistogram ? medianAlpha(cluster.alphaHistogram, cluster.size) / 255 : 1,
+        indices: buffers[index]
+    })).filter(c => c.indices.length > 0);
+
+    logger.log(`   [Quantize] Final Result: ${results.length} distinct color layers (${method}).`);
+    results.forEach((res, i) => {
+        const opacity = res.opacity < 1 ? ` @ ${res.opacity.toFixed(2)}` : '';
+        logger.log(`      Layer ${i}: rgb(${res.color.r},${res.color.g},${res.color.b})${opacity} - ${res.indices.length} pixels`);
+    });
+
+    return results;
+}
+
+/**
+ * K-Means strategy.
+ * 1. Deterministic: k-means++ seeding driven by a seeded PRNG, so the same
+ *    image + seed always gives the same palette.
+ * 2. Iterates until no center moves more than `tolerance` (or `maxIterations`).
+ * 3. Optional perceptual clustering: distances and averages are computed in
+ *    `colorSpace` ('rgb', 'lab' or 'oklab'), the palette is converted back to sRGB.
+ * 
+ * @returns {{palette: Array<{r,g,b}>, assignment: Int32Array}}
+ */
+function kmeansQuantize(pixels, validPixelIndices, colorCount, options) {
+    const {
+        seed = 1,
+        maxIterations = 50,
+        tolerance = 0.5,    // Max center movement (color space units) that still counts as converged
+        colorSpace = 'rgb',
+        logger
+    } = options;
+
+    // R/G/B hold the 3 channels of the clustering space (plain RGB by default)
+    const space = getColorSpace(colorSpace);
+    const { R, G, B } = readChannels(pixels, validPixelIndices, space);
+    const count = validPixelIndices.length;
+
+    // 1. Initialize Centers (k-means++)
+    // Each new center is picked with probability proportional to its squared
+    // distance from the nearest existing center, which spreads them out.
+    const random = createRandom(seed);
+    const centers = seedCenters(R, G, B, colorCount, random);
+
+    logger.log(`   [Quantize] Initialized ${centers.length} color centers (seed ${seed}, ${colorSpace}).`);
+
+    // 2. K-Means Loop (until the centers stop moving)
+    const assignment = new Int32Array(count);
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations && !converged) {
+        iterations++;
+
+        // Assign every valid pixel to closest center
+        for (let i = 0; i < count; i++) {
+            assignment[i] = nearestCenter(centers, R[i], G[i], B[i]);
         }
+
+        // Re-calculate centers
+        const sums = centers.map(() => ({ r: 0, g: 0, b: 0, n: 0 }));
+        for (let i = 0; i < count; i++) {
+            const sum = sums[assignment[i]];
+            sum.r += R[i];
+            sum.g += G[i];
+            sum.b += B[i];
+            sum.n++;
+        }
+
+        let maxShift = 0;
+        centers.forEach((cent, c) => {
+            const sum = sums[c];
+            if (sum.n === 0) return; // Empty cluster keeps its center (filtered out later)
+            const next = { r: sum.r / sum.n, g: sum.g / sum.n, b: sum.b / sum.n };
+            maxShift = Math.max(maxShift, Math.sqrt((next.r - cent.r) ** 2 + (next.g - cent.g) ** 2 + (next.b - cent.b) ** 2));
+            centers[c] = next;
+        });
+
+        converged = maxShift <= tolerance;
     }
-    
-    // If we still don't have enough, just duplicate the last one (it will merge later)
-    // or pick random valid ones even if duplicates
-    while (centers.length < colorCount) {
-         const randIdx = validPixelIndices[Math.floor(Math.random() * validPixelIndices.length)];
-         centers.push({
-            r: pixels[randIdx * 4],
-            g: pixels[randIdx * 4 + 1],
-            b: pixels[randIdx * 4 + 2]
-         });
+
+    // Final assignment against the final centers
+    for (let i = 0; i < count; i++) {
+        assignment[i] = nearestCenter(centers, R[i], G[i], B[i]);
     }
 
-    console.log(`   [Quantize] Initialized ${centers.length} color centers.`);
+    if (converged) {
+        logger.log(`   [Quantize] Converged after ${iterations} iterations.`);
+    } else {
+        logger.warn(`   [Quantize] Warning: Stopped after ${maxIterations} iterations without converging.`);
+    }
 
-    // 3. K-Means Loop (Running 3 iterations for speed/convergence balance)
-    const iterations = 3;
-    let clusters = [];
+    // Back to sRGB for buildSVG
+    const palette = centers.map(cent => space.toRgb(cent.r, cent.g, cent.b));
+    return { palette, assignment };
+}
 
-    for (let iter = 0; iter < iterations; iter++) {
-        // Reset clusters
-        clusters = Array(colorCount).fill(0).map(() => ({
-            points: [],
-            sumR: 0, sumG: 0, sumB: 0
-        }));
+/**
+ * k-means++ seeding. Stops early when every pixel already sits on a center
+ * (the image has fewer distinct colors than requested).
+ */
+function seedCenters(R, G, B, colorCount, random) {
+    const count = R.length;
+    const first = Math.floor(random() * count);
+    const centers = [{ r: R[first], g: G[first], b: B[first] }];
 
-        // Assign every valid pixel to closest center
-        for (const pIdx of validPixelIndices) {
-            const r = pixels[pIdx * 4];
-            const g = pixels[pIdx * 4 + 1];
-            const b = pixels[pIdx * 4 + 2];
-
-            let minDist = Infinity;
-            let bestCenter = 0;
-
-            for (let c = 0; c < colorCount; c++) {
-                const cent = centers[c];
-                const dist = (r - cent.r) ** 2 + (g - cent.g) ** 2 + (b - cent.b) ** 2;
-                if (dist < minDist) {
-                    minDist = dist;
-                    bestCenter = c;
-                }
-            }
+    // Squared distance of every pixel to its nearest center so far
+    const dist = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        dist[i] = (R[i] - R[first]) ** 2 + (G[i] - G[first]) ** 2 + (B[i] - B[first]) ** 2;
+    }
 
-            // Add to cluster
-            const cluster = clusters[bestCenter];
-            cluster.points.push({ 
-                x: pIdx % width, 
-                y: Math.floor(pIdx / width) 
-            });
-            cluster.sumR += r;
-            cluster.sumG += g;
-            cluster.sumB += b;
-        }
+    while (centers.length < colorCount) {
+        let total = 0;
+        for (let i = 0; i < count; i++) total += dist[i];
+        if (total === 0) break;
 
-        // Re-calculate centers
-        for (let c = 0; c < colorCount; c++) {
-            const cluster = clusters[c];
-            const count = cluster.points.length;
-            if (count > 0) {
-                centers[c].r = Math.floor(cluster.sumR / count);
-                centers[c].g = Math.floor(cluster.sumG / count);
-                centers[c].b = Math.floor(cluster.sumB / count);
+        // Weighted pick: walk the cumulative distance until we pass the target
+        let target = random() * total;
+        let pick = count - 1;
+        for (let i = 0; i < count; i++) {
+            target -= dist[i];
+            if (target < 0) {
+                pick = i;
+                break;
             }
         }
+
+        const cent = { r: R[pick], g: G[pick], b: B[pick] };
+        centers.push(cent);
+        for (let i = 0; i < count; i++) {
+            const d = (R[i] - cent.r) ** 2 + (G[i] - cent.g) ** 2 + (B[i] - cent.b) ** 2;
+            if (d < dist[i]) dist[i] = d;
+        }
     }
 
-    // 4. Format Output
-    // Filter out empty clusters
-    const results = clusters.map((cluster, index) => ({
-        color: centers[index],
-        points: cluster.points
-    })).filter(c => c.points.length > 0);
+    return centers;
+}
 
-    console.log(`   [Quantize] Final Result: ${results.length} distinct color layers.`);
-    results.forEach((res, i) => {
-        console.log(`      Layer ${i}: rgb(${res.color.r},${res.color.g},${res.color.b}) - ${res.points.length} pixels`);
-    });
+function medianAlpha(histogram, count) {
+    let seen = 0;
+    for (let a = 0; a < 256; a++) {
+        seen += histogram[a];
+        if (seen * 2 >= count) return a;
+    }
+    return 255;
+}
 
-    return results;
+/**
+ * Small seeded PRNG (mulberry32). Same seed, same sequence, on every platform.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
 
-function layerToMask(layerPoints, width, height) {
-    const mask = Array(height).fill(0).map(() => Array(width).fill(0));
-    for (const p of layerPoints) {
-        mask[p.y][p.x] = 1;
-    }
-    return mask;
+const QUANTIZERS = {
+    kmeans: kmeansQuantize,
+    'median-cut': medianCutQuantize,
+    octree: octreeQuantize,
+    palette: paletteQuantize,
+};
+
+/**
+ * Binary mask (see raster.js) of one layer's pixels.
+ */
+function layerToMask(layerIndices, width, height) {
+    return maskFromIndices(layerIndices, width, height);
+}
+
+/**
+ * Builds a single label map from all layers.
+ * Every pixel holds the index of the layer it belongs to, -1 if none (transparent).
+ */
+function layersToLabelMap(layers, width, height) {
+    const labels = createLabelMap(width, height, -1);
+    layers.forEach((layer, index) => {
+        const { indices } = layer;
+        for (let i = 0; i < indices.length; i++) {
+            labels.data[indices[i]] = index;
+        }
+    });
+    return labels;
 }
 
-module.exports = { quantizeImage, layerToMask };
\ No newline at end of file
+module.exports = { quantizeImage, layerToMask, layersToLabelMap };
\ No newline at end of file
@@ -0,0 +1,334 @@
+/**
+ * Step 2 (Alternative Quantizers)
+ * Palette strategies that can replace K-Means in quantizeImage:
+ *
+ * - median cut: recursively splits the color box with the widest channel at its median
+ * - octree:     builds an RGB octree and merges the smallest deepest nodes
+ * - palette:    maps every pixel to the nearest color of a FIXED palette (e.g. brand colors),
+ *               nothing is learned so the output uses those exact values
+ *
+ * Every strategy gets the RGBA buffer and the indices of visible pixels and
+ * returns { palette: [{r,g,b}], assignment: Int32Array } where assignment[i]
+ * is the palette index of validPixelIndices[i].
+ */
+const { getColorSpace } = require('./color');
+
+/**
+ * Median cut strategy (Heckbert). Deterministic, no iterations.
+ */
+function medianCutQuantize(pixels, validPixelIndices, colorCount, options) {
+    const { R, G, B } = readChannels(pixels, validPixelIndices, getColorSpace('rgb'));
+    const channels = [R, G, B];
+    const count = validPixelIndices.length;
+
+    const order = new Int32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+
+    // Boxes are ranges [start, end) of `order`
+    const boxes = [describeBox(channels, order, 0, count)];
+
+    while (boxes.length < colorCount) {
+        // Split the box with the widest channel range (ties: more pixels)
+        let target = -1;
+        for (let b = 0; b < boxes.length; b++) {
+            if (boxes[b].range === 0) continue;
+            if (target === -1 || boxes[b].range > boxes[target].range ||
+                (boxes[b].range === boxes[target].range && boxes[b].end - boxes[b].start > boxes[target].end - boxes[target].start)) {
+                target = b;
+            }
+        }
+        if (target === -1) break; // Every box holds a single color
+
+        const box = boxes[target];
+        const ch = channels[box.channel];
+        order.subarray(box.start, box.end).sort((a, b) => ch[a] - ch[b]);
+
+        const split = medianSplit(ch, order, box.start, box.end);
+        boxes.splice(target, 1,
+            describeBox(channels, order, box.start, split),
+            describeBox(channels, order, split, box.end)
+        );
+    }
+
+    const palette = [];
+    const assignment = new Int32Array(count);
+    boxes.forEach((box, b) => {
+        let r = 0, g = 0, bl = 0;
+        for (let k = box.start; k < box.end; k++) {
+            const i = order[k];
+            r += R[i];
+            g += G[i];
+            bl += B[i];
+            assignment[i] = b;
+        }
+        const n = box.end - box.start;
+        palette.push({ r: Math.round(r / n), g: Math.round(g / n), b: Math.round(bl / n) });
+    });
+
+    options.logger.log(`   [Quantize] Median cut: ${boxes.length} boxes.`);
+    return { palette, assignment };
+}
+
+function describeBox(channels, order, start, end) {
+    let channel = 0;
+    let range = -1;
+    channels.forEach((ch, c) => {
+        let min = Infinity, max = -Infinity;
+        for (let k = start; k < end; k++) {
+            const v = ch[order[k]];
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        if (max - min > range) {
+            range = max - min;
+            channel = c;
+        }
+    });
+    return { start, end, channel, range };
+}
+
+/**
+ * Split index near the median that does not cut through a run of equal
+ * values (so no color ends up in both halves). Expects a sorted range.
+ */
+function medianSplit(ch, order, start, end) {
+    const mid = start + Math.floor((end - start) / 2);
+    const value = ch[order[mid]];
+
+    let lo = mid;
+    while (lo > start && ch[order[lo - 1]] === value) lo--;
+    let hi = mid;
+    while (hi < end && ch[order[hi]] === value) hi++;
+
+    if (lo === start) return hi;
+    if (hi === end) return lo;
+    return (mid - lo <= hi - mid) ? lo : hi;
+}
+
+const OCTREE_DEPTH = 8;
+
+/**
+ * Octree strategy (Gervautz-Purgathofer). Colors are inserted down to one
+ * leaf per exact RGB value, then the deepest node with the fewest pixels is
+ * merged into its parent until at most `colorCount` leaves remain.
+ */
+function octreeQuantize(pixels, validPixelIndices, colorCount, options) {
+    const unique = countUniqueColors(pixels, validPixelIndices);
+
+    const root = createOctreeNode();
+    const reducible = Array(OCTREE_DEPTH).fill(0).map(() => []);
+    let leafCount = 0;
+
+    // 1. Insert every distinct color with its pixel count
+    for (const [key, n] of unique) {
+        const r = key >> 16, g = (key >> 8) & 255, b = key & 255;
+        let node = root;
+        for (let level = 0; level < OCTREE_DEPTH; level++) {
+            const child = octant(r, g, b, level);
+            if (!node.children[child]) {
+                node.children[child] = createOctreeNode();
+                if (level === OCTREE_DEPTH - 1) {
+                    leafCount++;
+                } else {
+                    reducible[level + 1].push(node.children[child]);
+                }
+            }
+            node = node.children[child];
+        }
+        node.count += n;
+        node.r += r * n;
+        node.g += g * n;
+        node.b += b * n;
+    }
+    reducible[0].push(root);
+
+    // 2. Merge the smallest of the deepest nodes until the palette fits
+    for (let level = OCTREE_DEPTH - 1; level >= 0 && leafCount > colorCount; level--) {
+        const nodes = reducible[level];
+        nodes.forEach(node => { node.weight = subtreeCount(node); });
+        // Stable sort keeps ties in insertion order (deterministic)
+        nodes.sort((a, b) => a.weight - b.weight);
+
+        for (const node of nodes) {
+            if (leafCount <= colorCount) break;
+            const merged = node.children.filter(Boolean);
+            for (const child of merged) {
+                node.count += child.count;
+                node.r += child.r;
+                node.g += child.g;
+                node.b += child.b;
+            }
+            node.children = Array(8).fill(null);
+            node.isLeaf = true;
+            leafCount -= merged.length - 1;
+        }
+    }
+
+    // 3. Number the leaves, then look every color up
+    const palette = [];
+    const assignLeaves = node => {
+        if (node.isLeaf || node.children.every(c => !c)) {
+            node.index = palette.length;
+            palette.push({
+                r: Math.round(node.r / node.count),
+                g: Math.round(node.g / node.count),
+                b: Math.round(node.b / node.count)
+            });
+            return;
+        }
+        node.children.forEach(child => child && assignLeaves(child));
+    };
+    assignLeaves(root);
+
+    const indexByKey = new Map();
+    for (const key of unique.keys()) {
+        const r = key >> 16, g = (key >> 8) & 255, b = key & 255;
+        let node = root;
+        let level = 0;
+        while (node.index === undefined) {
+            node = node.children[octant(r, g, b, level++)];
+        }
+        indexByKey.set(key, node.index);
+    }
+
+    const assignment = new Int32Array(validPixelIndices.length);
+    validPixelIndices.forEach((pIdx, i) => {
+        assignment[i] = indexByKey.get(colorKey(pixels, pIdx));
+    });
+
+    options.logger.log(`   [Quantize] Octree: ${unique.size} distinct colors reduced to ${palette.length}.`);
+    return { palette, assignment };
+}
+
+function createOctreeNode() {
+    return { children: Array(8).fill(null), count: 0, r: 0, g: 0, b: 0, isLeaf: false };
+}
+
+function octant(r, g, b, level) {
+    const shift = 7 - level;
+    return (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+}
+
+function subtreeCount(node) {
+    if (node.isLeaf) return node.count;
+    return node.count + node.children.reduce((sum, child) => sum + (child ? subtreeCount(child) : 0), 0);
+}
+
+/**
+ * Fixed palette strategy. Each pixel goes to the nearest palette entry,
+ * measured in `colorSpace` (use 'lab' or 'oklab' for perceptual matching).
+ */
+function paletteQuantize(pixels, validPixelIndices, colorCount, options) {
+    const { palette: entries, colorSpace = 'rgb', logger } = options;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`The 'palette' quantization method needs a non-empty palette (e.g. ["#0C58CC", "#FFFFFF"])`);
+    }
+
+    const palette = parsePalette(entries);
+    const space = getColorSpace(colorSpace);
+    const centers = palette.map(c => {
+        const [r, g, b] = space.fromRgb(c.r, c.g, c.b);
+        return { r, g, b };
+    });
+
+    // Look each distinct color up once
+    const indexByKey = new Map();
+    const assignment = new Int32Array(validPixelIndices.length);
+    validPixelIndices.forEach((pIdx, i) => {
+        const key = colorKey(pixels, pIdx);
+        let index = indexByKey.get(key);
+        if (index === undefined) {
+            const [c0, c1, c2] = space.fromRgb(pixels[pIdx * 4], pixels[pIdx * 4 + 1], pixels[pIdx * 4 + 2]);
+            index = nearestCenter(centers, c0, c1, c2);
+            indexByKey.set(key, index);
+        }
+        assignment[i] = index;
+    });
+
+    logger.log(`   [Quantize] Mapped to a fixed palette of ${palette.length} colors (${colorSpace}).`);
+    return { palette, assignment };
+}
+
+/**
+ * Parses palette entries: "#RGB", "#RRGGBB" (the # is optional) or {r, g, b}.
+ * @throws {Error} for anything else
+ */
+function parsePalette(entries) {
+    return entries.map(entry => {
+        if (entry && typeof entry === 'object') {
+            const { r, g, b } = entry;
+            if ([r, g, b].every(v => Number.isInteger(v) && v >= 0 && v <= 255)) return { r, g, b };
+        } else if (typeof entry === 'string') {
+            let hex = entry.trim().replace(/^#/, '');
+            if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.split('').map(c => c + c).join('');
+            if (/^[0-9a-f]{6}$/i.test(hex)) {
+                const value = parseInt(hex, 16);
+                return { r: value >> 16, g: (value >> 8) & 255, b: value & 255 };
+            }
+        }
+        throw new Error(`Invalid palette color ${JSON.stringify(entry)} (expected "#RRGGBB", "#RGB" or {r, g, b})`);
+    });
+}
+
+/**
+ * Copies the colors of the given pixels into 3 flat channel arrays,
+ * converted into `space`. Repeated colors are converted once.
+ */
+function readChannels(pixels, validPixelIndices, space) {
+    const count = validPixelIndices.length;
+    const R = new Float64Array(count);
+    const G = new Float64Array(count);
+    const B = new Float64Array(count);
+    const converted = new Map();
+    validPixelIndices.forEach((pIdx, i) => {
+        const key = colorKey(pixels, pIdx);
+        let channels = converted.get(key);
+        if (!channels) {
+            channels = space.fromRgb(pixels[pIdx * 4], pixels[pIdx * 4 + 1], pixels[pIdx * 4 + 2]);
+            converted.set(key, channels);
+        }
+        R[i] = channels[0];
+        G[i] = channels[1];
+        B[i] = channels[2];
+    });
+    return { R, G, B };
+}
+
+function countUniqueColors(pixels, validPixelIndices) {
+    const counts = new Map();
+    for (const pIdx of validPixelIndices) {
+        const key = colorKey(pixels, pIdx);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+}
+
+function colorKey(pixels, pIdx) {
+    return (pixels[pIdx * 4] << 16) | (pixels[pIdx * 4 + 1] << 8) | pixels[pIdx * 4 + 2];
+}
+
+/**
+ * Index of the closest center (squared Euclidean distance).
+ */
+function nearestCenter(centers, r, g, b) {
+    let minDist = Infinity;
+    let bestCenter = 0;
+    for (let c = 0; c < centers.length; c++) {
+        const cent = centers[c];
+        const dist = (r - cent.r) ** 2 + (g - cent.g) ** 2 + (b - cent.b) ** 2;
+        if (dist < minDist) {
+            minDist = dist;
+            bestCenter = c;
+        }
+    }
+    return bestCenter;
+}
+
+module.exports = {
+    medianCutQuantize,
+    octreeQuantize,
+    paletteQuantize,
+    parsePalette,
+    readChannels,
+    nearestCenter
+};
@@ -0,0 +1,109 @@
+/**
+ * Step 2a: Speckle Merging
+ * Quantization noise leaves small islands of one color inside another.
+ * Dropping them after tracing (minArea) leaves a hole in 'layers' mode that
+ * only closes if some other layer happens to lie underneath. Instead, every
+ * 4-connected region smaller than `maxArea` pixels is relabelled, on the
+ * label map and before anything is traced, to the adjacent region with the
+ * most similar color.
+ *
+ * Regions are merged smallest first. A region that grew past `maxArea` by
+ * absorbing speckles is no longer merged itself. Transparent pixels (label
+ * -1) never absorb a speckle, and a speckle surrounded only by them stays.
+ */
+const { labelRegions } = require('./raster');
+const { layersToLabelMap } = require('./step2_quantize');
+
+/**
+ * @param {Array<{color, opacity, indices: Uint32Array}>} layers - Quantized layers
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxArea - Regions with fewer pixels are merged
+ * @param {{log: Function}} logger
+ * @returns {Array<{color, opacity, indices: Uint32Array}>} Layers in the same
+ *          order, without the ones that lost all their pixels
+ */
+function mergeSpeckles(layers, width, height, maxArea, logger) {
+    const labelMap = layersToLabelMap(layers, width, height);
+    const labels = labelMap.data;
+    const { regionIds, regions } = labelRegions(labelMap);
+
+    const isSpeckle = r => regions[r].label >= 0 && regions[r].area < maxArea;
+    const speckles = regions.map((_, r) => r).filter(isSpeckle);
+    if (speckles.length === 0) {
+        if (logger) logger.log('Speckles: none');
+        return layers;
+    }
+
+    // Neighbors of every region (a speckle's set is merged into its target)
+    const neighbors = regions.map(() => new Set());
+    const link = (a, b) => {
+        const ra = regionIds[a], rb = regionIds[b];
+        if (ra === rb) return;
+        neighbors[ra].add(rb);
+        neighbors[rb].add(ra);
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (x + 1 < width) link(i, i + 1);
+            if (y + 1 < height) link(i, i + width);
+        }
+    }
+
+    const parent = regions.map((_, r) => r);
+    const area = regions.map(region => region.area);
+    const find = r => (parent[r] === r ? r : (parent[r] = find(parent[r])));
+
+    speckles.sort((a, b) => regions[a].area - regions[b].area);
+    let merged = 0;
+    for (const r of speckles) {
+        if (find(r) !== r || area[r] >= maxArea) continue;
+
+        const own = layers[regions[r].label];
+        let target = -1;
+        let bestDistance = Infinity;
+        for (const n of neighbors[r]) {
+            const root = find(n);
+            if (root === r || regions[root].label < 0) continue;
+            const distance = colorDistance(own, layers[regions[root].label]);
+            // Ties go to the larger region
+            if (distance < bestDistance || (distance === bestDistance && area[root] > area[target])) {
+                bestDistance = distance;
+                target = root;
+            }
+        }
+        if (target === -1) continue;
+
+        parent[r] = target;
+        area[target] += area[r];
+        for (const n of neighbors[r]) neighbors[target].add(n);
+        merged++;
+    }
+
+    // Rebuild the layers from the merged label map (two passes: count, fill)
+    const counts = new Uint32Array(layers.length);
+    for (let i = 0; i < labels.length; i++) {
+        const label = regions[find(regionIds[i])].label;
+        labels[i] = label;
+        if (label >= 0) counts[label]++;
+    }
+    const result = layers.map((layer, l) => ({ ...layer, indices: new Uint32Array(counts[l]) }));
+    const fill = new Uint32Array(layers.length);
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] >= 0) result[labels[i]].indices[fill[labels[i]]++] = i;
+    }
+
+    if (logger) logger.log(`Speckles: ${merged} of ${speckles.length} regions below ${maxArea} px merged into a neighbor`);
+    return result.filter(layer => layer.indices.length > 0);
+}
+
+/**
+ * Squared RGB distance, with opacity on the same 0-255 scale.
+ */
+function colorDistance(a, b) {
+    return (a.color.r - b.color.r) ** 2 + (a.color.g - b.color.g) ** 2 + (a.color.b - b.color.b) ** 2 +
+        ((a.opacity - b.opacity) * 255) ** 2;
+}
+
+module.exports = { mergeSpeckles };
@@ -7,12 +7,13 @@
  * 1. Unconditional Pass: Solidifies internal micro-gaps.
  * 2. Smart Pass: Closes boundary gaps without bridging external negative space.
  */
+const { createMask } = require('./raster');
 
 /**
  * Hybrid dilation: combines unconditional and smart dilation
  * 
- * @param {number[][]} mask - Binary mask for this color layer
- * @param {number[][]} coverageMask - Mask of ALL valid pixels in image
+ * @param {{width, height, data: Uint8Array}} mask - Binary mask for this color layer
+ * @param {{width, height, data: Uint8Array}} coverageMask - Mask of ALL valid pixels in image
  * @param {object} options - Dilation settings
  */
 function dilateHybrid(mask, coverageMask, options = {}) {
@@ -37,29 +38,29 @@ function dilateHybrid(mask, coverageMask, options = {}) {
 }
 
 function dilateOnce(mask, coverageMask) {
-    const height = mask.length;
-    const width = mask[0].length;
+    const { width, height, data } = mask;
+    const coverage = coverageMask === null ? null : coverageMask.data;
     // Create new buffer
-    const output = Array(height).fill(null).map(() => Array(width).fill(0));
+    const output = createMask(width, height);
+    const out = output.data;
     
     for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - 1);
+        const y1 = Math.min(height - 1, y + 1);
         for (let x = 0; x < width; x++) {
-            if (mask[y][x] === 1) {
-                // Set self and all 8 neighbors
-                for (let dy = -1; dy <= 1; dy++) {
-                    for (let dx = -1; dx <= 1; dx++) {
-                        const ny = y + dy;
-                        const nx = x + dx;
-                        // Bounds check
-                        if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
-                            // SMART DILATION CHECK:
-                            // Only dilate if:
-                            // 1. No coverage mask is provided (standard dilation)
-                            // 2. OR the target pixel is valid in the coverage mask
-                            if (coverageMask === null || coverageMask[ny][nx] === 1) {
-                                output[ny][nx] = 1;
-                            }
-                        }
+            if (data[y * width + x] !== 1) continue;
+            const x0 = Math.max(0, x - 1);
+            const x1 = Math.min(width - 1, x + 1);
+            // Set self and all 8 neighbors (clamped to the image)
+            for (let ny = y0; ny <= y1; ny++) {
+                const row = ny * width;
+                for (let nx = x0; nx <= x1; nx++) {
+                    // SMART DILATION CHECK:
+                    // Only dilate if:
+                    // 1. No coverage mask is provided (standard dilation)
+                    // 2. OR the target pixel is valid in the coverage mask
+                    if (coverage === null || coverage[row + nx] === 1) {
+                        out[row + nx] = 1;
                     }
                 }
             }
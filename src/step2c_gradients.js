@@ -0,0 +1,289 @@
+/**
+ * Step 2c: Gradient Detection
+ * Quantization cuts a smooth color ramp into a stack of flat bands. This step
+ * finds such stacks and turns each one back into a single gradient layer.
+ *
+ * 1. The label map is split into 4-connected regions.
+ * 2. Neighboring regions whose ORIGINAL pixels barely change across their
+ *    shared border (no real edge, only a quantization step) are grouped.
+ * 3. Each group of 2+ regions is fitted with a linear ramp (color changes
+ *    along one direction) and a radial ramp (color changes with the distance
+ *    from a center). The better fit wins if its RMS error is within tolerance.
+ *
+ * Gradients are in pixel coordinates and use 2 stops:
+ *   { type: 'linear', id, x1, y1, x2, y2, stops: [{offset, color: {r,g,b}}] }
+ *   { type: 'radial', id, cx, cy, r, stops }
+ */
+const { labelRegions } = require('./raster');
+const { layersToLabelMap } = require('./step2_quantize');
+
+/**
+ * Replaces banded regions with gradient layers.
+ *
+ * @param {{width, height, pixels: Uint8ClampedArray}} pixelData - Original pixels
+ * @param {Array<{color, opacity, indices: Uint32Array}>} layers - Quantized layers
+ * @param {object} options - { tolerance, edgeThreshold, minArea }
+ * @param {{log: Function}} logger
+ * @returns {Array<{color, opacity, indices: Uint32Array, gradient?: object}>}
+ *          Layers without the gradient pixels, followed by one layer per gradient
+ */
+function detectGradients(pixelData, layers, options = {}, logger) {
+    const { tolerance = 8, edgeThreshold = 12, minArea = 200 } = options;
+    const { width, height, pixels } = pixelData;
+
+    const labelMap = layersToLabelMap(layers, width, height);
+    const labels = labelMap.data;
+    const { regionIds, regions } = labelRegions(labelMap);
+
+    // 1. Group regions across borders without a real color edge
+    const borders = new Map();
+    const addPair = (a, b) => {
+        const ra = regionIds[a], rb = regionIds[b];
+        if (ra === rb || labels[a] < 0 || labels[b] < 0) return;
+        const key = ra < rb ? ra * regions.length + rb : rb * regions.length + ra;
+        const border = borders.get(key) || { a: Math.min(ra, rb), b: Math.max(ra, rb), diff: 0, count: 0 };
+        border.diff += colorDiff(pixels, a, b);
+        border.count++;
+        borders.set(key, border);
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (x + 1 < width) addPair(i, i + 1);
+            if (y + 1 < height) addPair(i, i + width);
+        }
+    }
+
+    const parent = regions.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (const border of borders.values()) {
+        if (border.diff / border.count <= edgeThreshold) parent[find(border.a)] = find(border.b);
+    }
+
+    const groups = new Map();
+    regions.forEach((region, i) => {
+        if (region.label < 0) return;
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(i);
+    });
+
+    // 2. Fit every candidate group
+    const inGradient = new Int32Array(width * height).fill(-1);
+    const gradientLayers = [];
+    for (const members of groups.values()) {
+        if (members.length < 2) continue;
+        const area = members.reduce((sum, r) => sum + regions[r].area, 0);
+        if (area < minArea) continue;
+
+        const memberSet = new Set(members);
+        const indices = new Uint32Array(area);
+        let k = 0;
+        for (let i = 0; i < regionIds.length; i++) {
+            if (memberSet.has(regionIds[i])) indices[k++] = i;
+        }
+
+        const gradient = fitGradient(pixels, indices, width, tolerance);
+        if (!gradient) continue;
+
+        gradient.id = `gradient-${gradientLayers.length + 1}`;
+        const layerIndex = gradientLayers.length;
+        for (const i of indices) inGradient[i] = layerIndex;
+
+        // Opacity of the bands it replaces (area weighted)
+        const opacity = members.reduce((sum, r) => sum + layers[regions[r].label].opacity * regions[r].area, 0) / area;
+        gradientLayers.push({ color: averageColor(pixels, indices), opacity, indices, gradient });
+    }
+
+    if (logger) {
+        const counts = gradientLayers.map(l => l.gradient.type);
+        logger.log(`Gradients: ${counts.length} found (${counts.filter(t => t === 'linear').length} linear, ${counts.filter(t => t === 'radial').length} radial)`);
+    }
+    if (gradientLayers.length === 0) return layers;
+
+    // 3. Take the gradient pixels out of the flat layers
+    const remaining = layers.map(layer => {
+        const kept = layer.indices.filter(i => inGradient[i] === -1);
+        return { ...layer, indices: kept };
+    }).filter(layer => layer.indices.length > 0);
+
+    return remaining.concat(gradientLayers);
+}
+
+/**
+ * Best of a linear and a radial ramp for the given pixels, or null if
+ * neither is within `tolerance` (RMS, 0-255 units) or the ramp is too flat
+ * to be worth a gradient.
+ */
+function fitGradient(pixels, indices, width, tolerance) {
+    const n = indices.length;
+    const xs = new Float64Array(n);
+    const ys = new Float64Array(n);
+    const colors = [new Float64Array(n), new Float64Array(n), new Float64Array(n)];
+    for (let k = 0; k < n; k++) {
+        const i = indices[k];
+        xs[k] = i % width;
+        ys[k] = Math.floor(i / width);
+        for (let c = 0; c < 3; c++) colors[c][k] = pixels[i * 4 + c];
+    }
+
+    const candidates = [linearRamp(xs, ys, colors), radialRamp(xs, ys, colors)].filter(Boolean);
+    let best = null;
+    for (const candidate of candidates) {
+        if (candidate.rms > tolerance) continue;
+        // A ramp that changes less than the tolerance is just a flat color
+        if (candidate.change < 2 * tolerance) continue;
+        if (!best || candidate.rms < best.rms) best = candidate;
+    }
+    return best ? best.gradient : null;
+}
+
+function linearRamp(xs, ys, colors) {
+    // Per-channel plane fit; the main direction combines all three slopes
+    let sxx = 0, sxy = 0, syy = 0;
+    const cx = mean(xs), cy = mean(ys);
+    for (const channel of colors) {
+        const [, bx, by] = solveLeastSquares(xs.length, k => [1, xs[k] - cx, ys[k] - cy], k => channel[k]) || [0, 0, 0];
+        sxx += bx * bx;
+        sxy += bx * by;
+        syy += by * by;
+    }
+    if (sxx + syy === 0) return null;
+    const angle = Math.atan2(2 * sxy, sxx - syy) / 2;
+    const dx = Math.cos(angle), dy = Math.sin(angle);
+
+    const t = xs.map((x, k) => (x - cx) * dx + (ys[k] - cy) * dy);
+    const ramp = fitRamp(t, colors);
+    if (!ramp) return null;
+
+    return {
+        rms: ramp.rms,
+        change: ramp.change,
+        gradient: {
+            type: 'linear',
+            x1: cx + dx * ramp.min, y1: cy + dy * ramp.min,
+            x2: cx + dx * ramp.max, y2: cy + dy * ramp.max,
+            stops: ramp.stops
+        }
+    };
+}
+
+function radialRamp(xs, ys, colors) {
+    // Center = extremum of an isotropic quadratic fitted to the brightness
+    const cx = mean(xs), cy = mean(ys);
+    const scale = Math.max(1, Math.sqrt(mean(xs.map((x, k) => (x - cx) ** 2 + (ys[k] - cy) ** 2))));
+    const u = k => (xs[k] - cx) / scale;
+    const v = k => (ys[k] - cy) / scale;
+    const brightness = k => (colors[0][k] + colors[1][k] + colors[2][k]) / 3;
+    const fit = solveLeastSquares(xs.length, k => [1, u(k), v(k), u(k) ** 2 + v(k) ** 2], brightness);
+    if (!fit || Math.abs(fit[3]) < 1e-9) return null;
+
+    const centerX = cx - (fit[1] / (2 * fit[3])) * scale;
+    const centerY = cy - (fit[2] / (2 * fit[3])) * scale;
+    const s = xs.map((x, k) => Math.hypot(x - centerX, ys[k] - centerY));
+    const ramp = fitRamp(s, colors, 0);
+    if (!ramp || ramp.max <= 0) return null;
+
+    return {
+        rms: ramp.rms,
+        change: ramp.change,
+        gradient: { type: 'radial', cx: centerX, cy: centerY, r: ramp.max, stops: ramp.stops }
+    };
+}
+
+/**
+ * color = a + k * s per channel. Stops sit at s = from (default: min s) and max s.
+ */
+function fitRamp(s, colors, from) {
+    // (no spread: regions can have more points than the argument limit)
+    const min = from === undefined ? s.reduce((a, b) => Math.min(a, b), Infinity) : from;
+    const max = s.reduce((a, b) => Math.max(a, b), -Infinity);
+    if (max - min < 1e-9) return null;
+
+    let squared = 0;
+    let change = 0;
+    const ends = [{}, {}];
+    ['r', 'g', 'b'].forEach((name, c) => {
+        const fit = solveLeastSquares(s.length, k => [1, s[k]], k => colors[c][k]);
+        const [a, slope] = fit || [mean(colors[c]), 0];
+        for (let k = 0; k < s.length; k++) squared += (colors[c][k] - (a + slope * s[k])) ** 2;
+        change = Math.max(change, Math.abs(slope) * (max - min));
+        ends[0][name] = clampByte(a + slope * min);
+        ends[1][name] = clampByte(a + slope * max);
+    });
+
+    return {
+        min,
+        max,
+        change,
+        rms: Math.sqrt(squared / (3 * s.length)),
+        stops: [{ offset: 0, color: ends[0] }, { offset: 1, color: ends[1] }]
+    };
+}
+
+/**
+ * Least squares via normal equations. `row(k)` returns the k-th row of the
+ * design matrix, `target(k)` its value. Returns null for singular systems.
+ */
+function solveLeastSquares(count, row, target) {
+    let size = 0;
+    let ata = null, atb = null;
+    for (let k = 0; k < count; k++) {
+        const r = row(k);
+        if (!ata) {
+            size = r.length;
+            ata = Array(size).fill(0).map(() => new Float64Array(size));
+            atb = new Float64Array(size);
+        }
+        const t = target(k);
+        for (let i = 0; i < size; i++) {
+            atb[i] += r[i] * t;
+            for (let j = 0; j < size; j++) ata[i][j] += r[i] * r[j];
+        }
+    }
+    if (!ata) return null;
+
+    // Gaussian elimination with partial pivoting
+    const m = ata.map((r, i) => [...r, atb[i]]);
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < size; r++) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        for (let r = 0; r < size; r++) {
+            if (r === col) continue;
+            const f = m[r][col] / m[col][col];
+            for (let c = col; c <= size; c++) m[r][c] -= f * m[col][c];
+        }
+    }
+    return m.map((r, i) => r[size] / r[i]);
+}
+
+function colorDiff(pixels, a, b) {
+    return (Math.abs(pixels[a * 4] - pixels[b * 4]) +
+        Math.abs(pixels[a * 4 + 1] - pixels[b * 4 + 1]) +
+        Math.abs(pixels[a * 4 + 2] - pixels[b * 4 + 2])) / 3;
+}
+
+function averageColor(pixels, indices) {
+    let r = 0, g = 0, b = 0;
+    for (const i of indices) {
+        r += pixels[i * 4];
+        g += pixels[i * 4 + 1];
+        b += pixels[i * 4 + 2];
+    }
+    const n = indices.length;
+    return { r: Math.round(r / n), g: Math.round(g / n), b: Math.round(b / n) };
+}
+
+function mean(values) {
+    let sum = 0;
+    for (const v of values) sum += v;
+    return sum / values.length;
+}
+
+const clampByte = v => Math.min(255, Math.max(0, Math.round(v)));
+
+module.exports = { detectGradients, fitGradient };
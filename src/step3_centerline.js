@@ -0,0 +1,233 @@
+/**
+ * Step 3 (Centerline Mode): Skeleton Tracing
+ * For line art, handwriting and plotter output: instead of the two outlines
+ * of a pen stroke, trace the line down its middle.
+ *
+ * 1. Thinning (Zhang-Suen) reduces the mask to a 1 pixel wide skeleton.
+ * 2. The skeleton is read as a graph: pixels with 1 neighbor are line ends,
+ *    pixels with 3 or more are junctions. Every run between two of those
+ *    becomes an open polyline; rings without any become closed polylines.
+ * 3. A distance transform of the original mask gives the stroke width
+ *    along each polyline (twice the distance from the skeleton to the background).
+ *
+ * Neighbors use m-adjacency: a diagonal neighbor only counts when the two
+ * pixels are not already joined through a shared straight neighbor, so
+ * staircases in the skeleton do not turn into tiny triangles.
+ */
+const { createMask, OFFSETS_8 } = require('./raster');
+
+/**
+ * @param {{width, height, data: Uint8Array}} mask - Binary layer mask (see raster.js)
+ * @returns {Array<{points: Array<{x,y}>, closed: boolean, width: number}>}
+ *          `width` is the estimated stroke width in pixels
+ */
+function traceCenterlines(mask) {
+    const skeleton = thinMask(mask);
+    const distance = distanceTransform(mask);
+    return traceSkeleton(skeleton)
+        .map(({ points, closed, junctions }) => ({
+            points,
+            closed,
+            junctions,
+            width: strokeWidth(points, distance, mask.width)
+        }))
+        .filter(line => {
+            // Links inside a clump of junction pixels (where strokes cross)
+            if (line.junctions === 2 && line.points.length <= 2) return false;
+            // Spurs: thinning leaves short branches towards the corners of thick strokes
+            if (line.junctions === 1 && line.points.length < line.width) return false;
+            return true;
+        })
+        .map(({ points, closed, width }) => ({ points, closed, width }));
+}
+
+/**
+ * Zhang-Suen thinning. Pixels outside the image count as background.
+ */
+function thinMask(mask) {
+    const { width, height } = mask;
+    const skeleton = createMask(width, height);
+    const data = skeleton.data;
+    data.set(mask.data);
+
+    const at = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : data[y * width + x]);
+    const toDelete = [];
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let pass = 0; pass < 2; pass++) {
+            toDelete.length = 0;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    if (data[y * width + x] !== 1) continue;
+
+                    // Neighbors P2..P9, clockwise from North
+                    const p = OFFSETS_8.map(([dx, dy]) => at(x + dx, y + dy));
+                    const count = p[0] + p[1] + p[2] + p[3] + p[4] + p[5] + p[6] + p[7];
+                    if (count < 2 || count > 6) continue;
+
+                    let transitions = 0;
+                    for (let k = 0; k < 8; k++) {
+                        if (p[k] === 0 && p[(k + 1) % 8] === 1) transitions++;
+                    }
+                    if (transitions !== 1) continue;
+
+                    // N, E, S, W = p[0], p[2], p[4], p[6]
+                    if (pass === 0) {
+                        if (p[0] * p[2] * p[4] !== 0 || p[2] * p[4] * p[6] !== 0) continue;
+                    } else {
+                        if (p[0] * p[2] * p[6] !== 0 || p[0] * p[4] * p[6] !== 0) continue;
+                    }
+                    toDelete.push(y * width + x);
+                }
+            }
+            for (const idx of toDelete) data[idx] = 0;
+            if (toDelete.length > 0) changed = true;
+        }
+    }
+    return skeleton;
+}
+
+/**
+ * Chamfer (3-4) distance of every foreground pixel to the nearest background
+ * pixel, in pixels. Pixels next to the background get 1.
+ */
+function distanceTransform(mask) {
+    const { width, height, data } = mask;
+    const dist = new Float64Array(width * height);
+    const INF = 1e9;
+    for (let i = 0; i < dist.length; i++) dist[i] = data[i] === 1 ? INF : 0;
+
+    // Outside the image is background too
+    const get = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : dist[y * width + x]);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (dist[i] === 0) continue;
+            dist[i] = Math.min(dist[i], get(x - 1, y) + 3, get(x, y - 1) + 3, get(x - 1, y - 1) + 4, get(x + 1, y - 1) + 4);
+        }
+    }
+    for (let y = height - 1; y >= 0; y--) {
+        for (let x = width - 1; x >= 0; x--) {
+            const i = y * width + x;
+            if (dist[i] === 0) continue;
+            dist[i] = Math.min(dist[i], get(x + 1, y) + 3, get(x, y + 1) + 3, get(x + 1, y + 1) + 4, get(x - 1, y + 1) + 4);
+        }
+    }
+    for (let i = 0; i < dist.length; i++) dist[i] /= 3;
+    return dist;
+}
+
+/**
+ * Splits a skeleton into polylines between line ends and junctions.
+ * `junctions` counts how many of the two ends are junctions (0-2).
+ */
+function traceSkeleton(skeleton) {
+    const { width, height, data } = skeleton;
+    const isSet = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[y * width + x] === 1;
+
+    // m-adjacent neighbors of a skeleton pixel
+    const neighbors = idx => {
+        const x = idx % width;
+        const y = (idx - x) / width;
+        const result = [];
+        for (const [dx, dy] of OFFSETS_8) {
+            if (!isSet(x + dx, y + dy)) continue;
+            if (dx !== 0 && dy !== 0 && (isSet(x + dx, y) || isSet(x, y + dy))) continue;
+            result.push((y + dy) * width + x + dx);
+        }
+        return result;
+    };
+
+    const degree = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] === 1) degree[i] = neighbors(i).length;
+    }
+    const isNode = idx => degree[idx] !== 2;
+    const isJunction = idx => degree[idx] >= 3;
+
+    const visitedEdges = new Set();
+    const edgeKey = (a, b) => (a < b ? a * data.length + b : b * data.length + a);
+    const visitedPixels = new Uint8Array(width * height);
+    const toPoint = idx => ({ x: idx % width, y: Math.floor(idx / width) });
+
+    // Follows the skeleton from `start` through `next` until a node (or back to `start`)
+    const walk = (start, next) => {
+        const path = [start];
+        let prev = start;
+        let current = next;
+        visitedEdges.add(edgeKey(start, next));
+        visitedPixels[start] = 1;
+
+        while (true) {
+            path.push(current);
+            visitedPixels[current] = 1;
+            if (isNode(current) || current === start) break;
+
+            const step = neighbors(current).find(n => n !== prev && !visitedEdges.has(edgeKey(current, n)));
+            if (step === undefined) break;
+            visitedEdges.add(edgeKey(current, step));
+            prev = current;
+            current = step;
+        }
+        return path;
+    };
+
+    const polylines = [];
+
+    // 1. Runs that start at a line end or junction
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] !== 1 || !isNode(i)) continue;
+        if (degree[i] === 0) {
+            // Lone dot
+            polylines.push({ points: [toPoint(i)], closed: false, junctions: 0 });
+            visitedPixels[i] = 1;
+            continue;
+        }
+        for (const n of neighbors(i)) {
+            if (visitedEdges.has(edgeKey(i, n))) continue;
+            const path = walk(i, n);
+            const junctions = isJunction(path[0]) + isJunction(path[path.length - 1]);
+            polylines.push({ points: path.map(toPoint), closed: false, junctions });
+        }
+    }
+
+    // 2. Whatever is left are rings without any junction
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] !== 1 || visitedPixels[i]) continue;
+        const path = walk(i, neighbors(i)[0]);
+        // The ring ends where it started; keep the start point once
+        if (path.length > 1 && path[path.length - 1] === i) path.pop();
+        polylines.push({ points: path.map(toPoint), closed: true, junctions: 0 });
+    }
+
+    return polylines;
+}
+
+/**
+ * Stroke width along a polyline: a skeleton pixel `d` pixels away from the
+ * background sits in the middle of a stroke about 2d - 1 pixels wide.
+ */
+function strokeWidth(points, distance, width) {
+    const total = points.reduce((sum, p) => sum + distance[p.y * width + p.x], 0);
+    return Math.max(1, 2 * (total / points.length) - 1);
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    // A 3 pixel wide "T"
+    const width = 20, height = 16;
+    const mask = createMask(width, height);
+    for (let y = 2; y < 5; y++) for (let x = 2; x < 18; x++) mask.data[y * width + x] = 1;
+    for (let y = 5; y < 14; y++) for (let x = 9; x < 12; x++) mask.data[y * width + x] = 1;
+
+    console.log("--- Step 3 (Centerline) Test ---");
+    for (const line of traceCenterlines(mask)) {
+        const ends = `${JSON.stringify(line.points[0])} -> ${JSON.stringify(line.points[line.points.length - 1])}`;
+        console.log(`${line.closed ? 'ring' : 'line'} of ${line.points.length} px, width ${line.width.toFixed(1)}: ${ends}`);
+    }
+}
+
+module.exports = { traceCenterlines, thinMask, distanceTransform, traceSkeleton };
@@ -0,0 +1,215 @@
+/**
+ * Step 3 (Shared Boundary Mode): Planar Map Tracing
+ * Traces the label image as a whole instead of one color layer at a time.
+ *
+ * Boundaries run along the cracks BETWEEN pixels (corner coordinates 0..width,
+ * 0..height), so every pixel belongs to exactly one region. The boundary
+ * between two neighboring regions is traced once as an "edge" and referenced
+ * by both of them, which means the output has no gaps and no overlaps
+ * without any dilation.
+ *
+ * Regions are 4-connected components of equal labels. Edges are split at
+ * "nodes": crack corners where 3 or more boundary cracks meet (3+ regions,
+ * the image border, or two regions touching only diagonally) and the
+ * corners of the image.
+ */
+const { labelRegions } = require('./raster');
+
+// Crack directions from a corner vertex (screen coordinates, y down)
+// Index order is clockwise so that (dir + 1) % 4 is a right turn.
+const CRACK_DIRS = [
+    { dx: 1, dy: 0 },   // 0: E
+    { dx: 0, dy: 1 },   // 1: S
+    { dx: -1, dy: 0 },  // 2: W
+    { dx: 0, dy: -1 }   // 3: N
+];
+
+/**
+ * @param {{width: number, height: number, data: Int32Array}} labels - Label map (layer index, -1 = transparent), see raster.js
+ * @returns {{
+ *   edges: Array<{points: Array<{x,y}>, closed: boolean}>,
+ *   regions: Array<{label: number, area: number, cycles: Array<{edges: Array<{edge: number, reversed: boolean}>, isHole: boolean}>}>
+ * }}
+ */
+function tracePlanarMap(labels) {
+    const { width, height } = labels;
+
+    // 1. Split the label image into 4-connected regions
+    const { regionIds, regions: regionInfo } = labelRegions(labels);
+
+    // Region id of a cell, -1 for everything outside the image
+    const rid = (x, y) => {
+        if (x < 0 || y < 0 || x >= width || y >= height) return -1;
+        return regionIds[y * width + x];
+    };
+
+    // Cells on the right / left of the crack leaving corner (vx,vy) in direction dir
+    const rightCell = (vx, vy, dir) => {
+        switch (dir) {
+            case 0: return rid(vx, vy);
+            case 1: return rid(vx - 1, vy);
+            case 2: return rid(vx - 1, vy - 1);
+            default: return rid(vx, vy - 1);
+        }
+    };
+    const leftCell = (vx, vy, dir) => rightCell(vx, vy, (dir + 3) % 4);
+
+    // A corner is a node when 3 or 4 boundary cracks meet there.
+    // The 4 image corners are nodes too, so smoothing never rounds them off.
+    const isNode = (vx, vy) => {
+        if ((vx === 0 || vx === width) && (vy === 0 || vy === height)) return true;
+        const nw = rid(vx - 1, vy - 1);
+        const ne = rid(vx, vy - 1);
+        const sw = rid(vx - 1, vy);
+        const se = rid(vx, vy);
+        const degree = (nw !== ne) + (sw !== se) + (nw !== sw) + (ne !== se);
+        return degree >= 3;
+    };
+
+    // Undirected crack id: horizontal cracks are even, vertical cracks odd
+    const crackId = (vx, vy, dir) => {
+        switch (dir) {
+            case 0: return 2 * (vy * (width + 1) + vx);
+            case 1: return 2 * (vy * (width + 1) + vx) + 1;
+            case 2: return 2 * (vy * (width + 1) + vx - 1);
+            default: return 2 * ((vy - 1) * (width + 1) + vx) + 1;
+        }
+    };
+
+    // Directed crack visited flags (corner index * 4 + dir)
+    const visited = new Uint8Array((width + 1) * (height + 1) * 4);
+
+    const edges = [];
+    const edgeByKey = new Map();
+    const regions = regionInfo.map(info => ({ label: info.label, area: info.area, cycles: [] }));
+
+    // 2. Walk every boundary cycle with its region on the RIGHT
+    // (clockwise on screen for outer boundaries, counter-clockwise for holes)
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const r = regionIds[y * width + x];
+            if (regions[r].label < 0) continue; // Transparent regions are not emitted
+
+            // Only the top side of a cell can start a cycle: every cycle
+            // has a topmost row, and its leftmost crack there runs East.
+            if (rid(x, y - 1) === r) continue;
+            if (visited[(y * (width + 1) + x) * 4]) continue;
+
+            const cycle = walkCycle(x, y, 0, r);
+            regions[r].cycles.push(splitCycle(cycle));
+        }
+    }
+
+    // Follows boundary cracks of region r until it returns to the first crack
+    function walkCycle(startX, startY, startDir, r) {
+        const vertices = [];
+        const cracks = [];
+        let vx = startX;
+        let vy = startY;
+        let dir = startDir;
+
+        do {
+            visited[(vy * (width + 1) + vx) * 4 + dir] = 1;
+            vertices.push({ x: vx, y: vy });
+            cracks.push(crackId(vx, vy, dir));
+
+            vx += CRACK_DIRS[dir].dx;
+            vy += CRACK_DIRS[dir].dy;
+
+            // Turn right first, then straight, then left: keeps regions
+            // that only touch diagonally apart (4-connectivity).
+            for (const turn of [1, 0, 3]) {
+                const next = (dir + turn) % 4;
+                if (rightCell(vx, vy, next) === r && leftCell(vx, vy, next) !== r) {
+                    dir = next;
+                    break;
+                }
+            }
+        } while (vx !== startX || vy !== startY || dir !== startDir);
+
+        return { vertices, cracks };
+    }
+
+    // Cuts a cycle at its nodes and registers each piece as a shared edge
+    function splitCycle({ vertices, cracks }) {
+        const n = vertices.length;
+        const isHole = signedArea(vertices) < 0;
+
+        const nodeIndices = [];
+        for (let i = 0; i < n; i++) {
+            if (isNode(vertices[i].x, vertices[i].y)) nodeIndices.push(i);
+        }
+
+        // No nodes: the whole cycle is one closed edge
+        if (nodeIndices.length === 0) {
+            const key = `c${cracks.reduce((a, b) => Math.min(a, b))}`;
+            return { edges: [registerEdge(key, vertices, true)], isHole };
+        }
+
+        const refs = [];
+        for (let k = 0; k < nodeIndices.length; k++) {
+            const from = nodeIndices[k];
+            const to = k + 1 < nodeIndices.length ? nodeIndices[k + 1] : nodeIndices[0] + n;
+
+            const points = [];
+            for (let i = from; i <= to; i++) points.push(vertices[i % n]);
+
+            const key = `o${Math.min(cracks[from % n], cracks[(to - 1) % n])}`;
+            refs.push(registerEdge(key, points, false));
+        }
+        return { edges: refs, isHole };
+    }
+
+    // The first region to walk an edge stores it; the neighbor on the
+    // other side walks it in the opposite direction and gets a reversed reference.
+    function registerEdge(key, points, closed) {
+        if (edgeByKey.has(key)) {
+            return { edge: edgeByKey.get(key), reversed: true };
+        }
+        edgeByKey.set(key, edges.length);
+        edges.push({ points, closed });
+        return { edge: edges.length - 1, reversed: false };
+    }
+
+    return {
+        edges,
+        regions: regions.filter(region => region.label >= 0)
+    };
+}
+
+/**
+ * Shoelace area; positive for clockwise cycles on screen (y down).
+ */
+function signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const j = (i + 1) % points.length;
+        area += points[i].x * points[j].y;
+        area -= points[j].x * points[i].y;
+    }
+    return area / 2;
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    // Two colors side by side with a third one enclosed by the first
+    const labels = {
+        width: 5,
+        height: 3,
+        data: Int32Array.from([
+            0, 0, 0, 1, 1,
+            0, 2, 0, 1, 1,
+            0, 0, 0, 1, 1
+        ])
+    };
+
+    console.log("--- Step 3 (Planar Map) Test ---");
+    const { edges, regions } = tracePlanarMap(labels);
+    console.log(`Edges: ${edges.length}`);
+    regions.forEach((region, i) => {
+        const refs = region.cycles.map(c => `${c.isHole ? 'hole' : 'outer'}[${c.edges.map(e => (e.reversed ? '-' : '+') + e.edge).join(' ')}]`);
+        console.log(`Region ${i} (label ${region.label}, ${region.area} px): ${refs.join(' ')}`);
+    });
+}
+
+module.exports = { tracePlanarMap };
@@ -1,4 +1,4 @@
-const { extractPixels } = require('./step1_extraction');
+const { floodFill } = require('./raster');
 
 // Moore Neighborhood Directions (Clockwise)
 // 7 0 1
@@ -18,79 +18,113 @@ const DIRECTIONS = [
 /**
  * Step 3: Contour Tracing
  * Finds all contours in a binary mask using Moore Neighbor Tracing.
+ *
+ * Shapes are 8-connected (matching the Moore walk) and holes are the
+ * 4-connected background regions fully enclosed by a shape. Every hole is
+ * traced along the shape pixels that border it and linked to the outer
+ * contour of the shape it cuts through via `parent`.
  * 
- * @param {Array<Array<number>>} mask - 2D binary array
- * @returns {Array<{points: Array<{x,y}>, isHole: boolean}>}
+ * @param {{width: number, height: number, data: Uint8Array}} mask - Binary mask (see raster.js)
+ * @returns {Array<{points: Array<{x,y}>, isHole: boolean, parent: number}>}
+ *          `parent` is the index of the enclosing outer contour (-1 for outer contours)
  */
 function traceContours(mask) {
-    const height = mask.length;
-    const width = mask[0].length;
-    const visited = Array(height).fill().map(() => Array(width).fill(false));
+    const { width, height, data } = mask;
+    // Component id of every foreground pixel (-1 = not labelled yet)
+    const labels = new Int32Array(width * height).fill(-1);
+    // One BFS queue shared by every flood fill below
+    const queue = new Int32Array(width * height);
     const contours = [];
+    // Outer contour index for every foreground component
+    const outerByLabel = [];
 
-    // Helper to check bounds and mask value
-    const getPixel = (x, y) => {
-        if (x < 0 || y < 0 || x >= width || y >= height) return 0;
-        return mask[y][x];
-    };
-
-    // 1. Scan the grid
+    // 1. Scan the grid for shapes
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
-            if (mask[y][x] === 1 && !visited[y][x]) {
+            const idx = y * width + x;
+            if (data[idx] === 1 && labels[idx] === -1) {
                 // Found a new shape start point
                 // 1. Trace the boundary
                 // We approached from the Left (West), so initial backtrack is 6 (West)
-                const contourPoints = mooreNeighborTrace(mask, x, y, visited, 6);
+                const contourPoints = mooreNeighborTrace(mask, x, y, 6);
                 
-                if (contourPoints.length > 0) {
-                    contours.push({
-                        points: contourPoints,
-                        isHole: false // Hole detection is next sub-step
-                    });
-                }
-
-                // 2. CRITICAL: Mark the ENTIRE connected shape as visited
+                outerByLabel.push(contours.length);
+                contours.push({
+                    points: contourPoints,
+                    isHole: false,
+                    parent: -1
+                });
+
+                // 2. CRITICAL: Mark the ENTIRE connected shape
                 // using a Flood Fill (BFS) so we don't re-scan its internal pixels.
-                floodFillVisited(mask, x, y, visited);
+                const label = outerByLabel.length - 1;
+                floodFill(width, height, idx, 8,
+                    n => data[n] === 1 && labels[n] === -1,
+                    n => { labels[n] = label; },
+                    queue);
             }
         }
     }
-    
-    return contours;
-}
 
-/**
- * Marks all connected '1' pixels as visited starting from (x,y)
- */
-function floodFillVisited(mask, startX, startY, visited) {
-    const queue = [{x: startX, y: startY}];
-    const width = mask[0].length;
-    const height = mask.length;
-    
-    visited[startY][startX] = true;
-
-    while (queue.length > 0) {
-        const {x, y} = queue.shift();
-
-        // Check 4-connected neighbors
-        const neighbors = [
-            {x: x+1, y: y}, {x: x-1, y: y},
-            {x: x, y: y+1}, {x: x, y: y-1}
-        ];
-
-        for (const n of neighbors) {
-            if (n.x >= 0 && n.x < width && n.y >= 0 && n.y < height) {
-                if (mask[n.y][n.x] === 1 && !visited[n.y][n.x]) {
-                    visited[n.y][n.x] = true;
-                    queue.push(n);
-                }
+    // 2. Scan the grid for holes
+    // Background touching the image border is open space, everything else
+    // is enclosed by a shape. The first pixel of a hole in scan order always
+    // has a shape pixel directly above it, which is where the hole trace starts.
+    const background = new Int8Array(width * height).fill(-1);
+    const OPEN = 0;
+    const HOLE = 1;
+    const fillBackground = (start, value) => floodFill(width, height, start, 4,
+        n => data[n] === 0 && background[n] === -1,
+        n => { background[n] = value; },
+        queue);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = y * width + x;
+            if (data[idx] === 1) continue;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+                if (background[idx] === -1) fillBackground(idx, OPEN);
             }
         }
     }
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const idx = y * width + x;
+            if (data[idx] === 1 || background[idx] !== -1) continue;
+
+            fillBackground(idx, HOLE);
+
+            // Start on the shape pixel above the hole, looking down into it (South)
+            const owner = labels[idx - width];
+            const holePoints = mooreNeighborTrace(mask, x, y - 1, 4);
+
+            contours.push({
+                points: holePoints,
+                isHole: true,
+                parent: outerByLabel[owner]
+            });
+        }
+    }
+    
+    return contours;
 }
 
-function mooreNeighborTrace(mask, startX, startY, visited, initialBacktrackDir) {
+/**
+ * Walks the boundary of the shape containing (startX, startY) clockwise.
+ *
+ * Closure uses Jacob's stopping criterion: the trace ends when it is back on
+ * the start pixel AND about to repeat its first move. Stopping on the first
+ * return to the start pixel would cut contours short where the start pixel
+ * is visited twice (e.g. two lobes joined through it).
+ *
+ * There is no fixed step cap, so contours can be arbitrarily long. The walk
+ * has at most 8 states per pixel (position + backtrack direction); going past
+ * that means it can never close, which is reported as an error instead of
+ * returning a truncated contour.
+ */
+function mooreNeighborTrace(mask, startX, startY, initialBacktrackDir) {
+    const { width, height, data } = mask;
     const contour = [];
     let cx = startX;
     let cy = startY;
@@ -98,61 +132,50 @@ function mooreNeighborTrace(mask, startX, startY, visited, initialBacktrackDir)
     
     contour.push({x: cx, y: cy});
     
-    // Note: We do NOT mark 'visited' inside the trace loop anymore
-    // because the Flood Fill handles the bulk, and we might revisit pixels
-    // during the trace (e.g. thin lines). 
-    // Actually, for the 'visited' array logic in traceContours to work, 
-    // we rely on floodFill. So we can leave visited marking out of here 
-    // OR keep it. Plan says "Mark visited". 
-    // But strictly, the trace just reads. The Main Loop writes visited.
-    // Wait, if we don't mark visited, the loop might get stuck?
-    // No, the loop logic depends on mask values.
-    
-    const startPoint = {x: startX, y: startY};
-    let loopCount = 0;
-    const MAX_LOOP = 10000;
-
-    while (true) {
-        loopCount++;
-        if (loopCount > MAX_LOOP) break;
+    // Note: The trace only reads the mask. Labelling shapes and holes is
+    // done by the flood fills in traceContours, and we might revisit pixels
+    // during the trace (e.g. thin lines).
 
-        let foundNext = false;
-        
-        // Scan neighbors clockwise starting from backtrackDir
+    // Scan neighbors clockwise starting from backtrackDir, -1 if isolated
+    const nextDir = () => {
         for (let i = 0; i < 8; i++) {
             const checkDir = (backtrackDir + i) % 8;
-            const offset = DIRECTIONS[checkDir];
-            const nx = cx + offset.dx;
-            const ny = cy + offset.dy;
-            
-            // Check bounds
-            if (nx >= 0 && ny >= 0 && nx < mask[0].length && ny < mask.length) {
-                if (mask[ny][nx] === 1) {
-                    // Found next boundary point
-                    cx = nx;
-                    cy = ny;
-                    // Update backtrack to be the direction BEFORE the one we found (CCW by 1)
-                    // Logic: checkDir was the first 1. So (checkDir - 1) was a 0.
-                    backtrackDir = (checkDir + 7) % 8;
-                    foundNext = true;
-                    break;
-                }
+            const nx = cx + DIRECTIONS[checkDir].dx;
+            const ny = cy + DIRECTIONS[checkDir].dy;
+            if (nx >= 0 && ny >= 0 && nx < width && ny < height && data[ny * width + nx] === 1) {
+                return checkDir;
             }
         }
-        
-        if (!foundNext) {
-            break; // Isolated
-        }
-        
-        // Check if closed
-        if (cx === startPoint.x && cy === startPoint.y) {
-            break;
+        return -1;
+    };
+
+    const firstDir = nextDir();
+    if (firstDir === -1) {
+        return contour; // Isolated
+    }
+
+    const maxSteps = 8 * width * height;
+    let dir = firstDir;
+    for (let step = 0; step <= maxSteps; step++) {
+        // Found next boundary point
+        cx += DIRECTIONS[dir].dx;
+        cy += DIRECTIONS[dir].dy;
+        // Update backtrack to point at the last 0 we checked, (dir - 1)
+        // as seen from the OLD pixel, re-expressed relative to the NEW pixel.
+        // Straight moves put it 2 steps back CCW, diagonal moves 3 steps.
+        backtrackDir = (dir % 2 === 0) ? (dir + 6) % 8 : (dir + 5) % 8;
+
+        dir = nextDir();
+
+        // Jacob's stopping criterion: back at the start, leaving the same way
+        if (cx === startX && cy === startY && dir === firstDir) {
+            return contour;
         }
-        
+
         contour.push({x: cx, y: cy});
     }
 
-    return contour;
+    throw new Error(`Contour trace starting at (${startX}, ${startY}) did not close after ${maxSteps} steps`);
 }
 
 module.exports = { traceContours };
@@ -3,11 +3,38 @@
  * Applies a Gaussian weighted average to coordinates.
  * Turns jagged pixel steps "|_|_" into smooth slopes "/".
  * 
- * Formula: P_new = (P_prev + 2*P_curr + P_next) / 4
+ * Formula: P_new = P_curr + strength * ((P_prev + P_next) / 2 - P_curr)
+ * (strength 0.5 is the classic (P_prev + 2*P_curr + P_next) / 4 kernel)
+ * 
+ * Corners are detected on the RAW contour before the first pass and pinned,
+ * so only the stretches between corners get smoothed and logos keep their
+ * sharp edges. Closed contours wrap around. Open polylines (shared edges
+ * between two regions) keep both end points fixed so neighbors still meet exactly.
+ */
+const { detectCorners } = require('./corners');
+
+/**
+ * @param {Array<{x,y}>} points - Raw contour
+ * @param {number} iterations - Smoothing passes
+ * @param {object} [options]
+ * @param {boolean} [options.closed=true]
+ * @param {number} [options.strength=0.5] - 0 = no change, 1 = replace each point by its neighbors' midpoint
+ * @param {number} [options.cornerAngle=60] - Direction change (degrees) that pins a point as a corner
+ * @param {number[]} [options.corners] - Corner indices to pin (skips corner detection)
+ * @returns {Array<{x,y}>} Same number of points, corners unchanged
  */
+function smoothPoints(points, iterations = 2, options = {}) {
+    const { closed = true, strength = 0.5, cornerAngle = 60 } = options;
+    if (points.length < 3 || iterations <= 0 || strength <= 0) return points;
 
-function smoothPoints(points, iterations = 2) {
-    if (points.length < 3) return points;
+    const pinned = new Uint8Array(points.length);
+    const corners = options.corners || detectCorners(points, { closed, angle: cornerAngle });
+    for (const i of corners) pinned[i] = 1;
+    // Pin the end points of open polylines
+    if (!closed) {
+        pinned[0] = 1;
+        pinned[points.length - 1] = 1;
+    }
 
     let currentPoints = [...points];
 
@@ -17,16 +44,21 @@ function smoothPoints(points, iterations = 2) {
         
         // Loop through every point
         for (let i = 0; i < len; i++) {
+            if (pinned[i]) {
+                newPoints.push(currentPoints[i]);
+                continue;
+            }
+
             // Handle wrap-around for closed loops
             const prev = currentPoints[(i - 1 + len) % len];
             const curr = currentPoints[i];
             const next = currentPoints[(i + 1) % len];
 
             // Apply Weighted Average
-            // We give double weight to the current point to maintain shape integrity
+            // Pull the point towards its neighbors' midpoint
             newPoints.push({
-                x: (prev.x + (curr.x * 2) + next.x) / 4,
-                y: (prev.y + (curr.y * 2) + next.y) / 4
+                x: curr.x + strength * ((prev.x + next.x) / 2 - curr.x),
+                y: curr.y + strength * ((prev.y + next.y) / 2 - curr.y)
             });
         }
         currentPoints = newPoints;
@@ -1,120 +1,302 @@
 /**
- * Step 5: Curve Fitting (Robust Version)
- * Converts simplified points into Cubic Bezier curves.
- * Includes DUPLICATE REMOVAL and MATH SAFETY to prevent "spikes".
+ * Step 5: Curve Fitting (Least Squares)
+ * Fits Cubic Bezier curves to a DENSE contour (Schneider, "An Algorithm for
+ * Automatically Fitting Digitized Curves", Graphics Gems 1990).
+ *
+ * 1. The contour is cut at its corners, so corners stay sharp.
+ * 2. Each piece gets one cubic by least squares, with its end tangents fixed.
+ * 3. If the curve is off by more than `tolerance`, the points are
+ *    re-parameterized (Newton-Raphson) a few times; if that does not help the
+ *    piece is split at its worst point and both halves are fitted again.
+ *
+ * Straight and gently curved stretches therefore collapse into a few curves,
+ * while every curve stays within `tolerance` pixels of the input points.
  */
+const { detectCorners } = require('./corners');
 
-function fitCurves(points) {
-    // 1. SANITIZATION: Remove points that are too close to each other
-    const cleanPoints = filterDuplicates(points, 1.0); // 1.0 pixel threshold
+const MAX_REPARAMETERIZE = 4;
+// Tangents are estimated from the point this many steps away (skips pixel jaggies)
+const TANGENT_SPAN = 3;
 
+/**
+ * @param {Array<{x,y}>} points - Dense contour (e.g. smoothed trace)
+ * @param {object} [options]
+ * @param {number} [options.tolerance=1.0] - Max distance of the curves from the points (pixels)
+ * @param {boolean} [options.closed] - Closed loop; defaults to "first point equals last point"
+ * @param {number} [options.cornerAngle=60] - Direction change (degrees) that counts as a corner
+ * @param {number[]} [options.corners] - Corner indices into `points` (skips corner detection)
+ * @returns {Array<{p0, p1, p2, p3}>} Closed loops end where they start
+ */
+function fitCurves(points, options = {}) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const {
+        tolerance = 1.0,
+        closed = points.length > 2 && first.x === last.x && first.y === last.y,
+        cornerAngle = 60,
+    } = options;
+
+    // 1. SANITIZATION: Remove repeated points (and the closing copy of the first point)
+    const { points: clean, indexMap } = filterDuplicates(points, closed);
+    const n = clean.length;
+    if (n < 2) return [];
+
+    const corners = options.corners
+        ? [...new Set(options.corners.map(i => indexMap[i]))].sort((a, b) => a - b)
+        : detectCorners(clean, { closed, angle: cornerAngle });
+
+    // Squared distances are compared; a tiny floor keeps tolerance 0 stable
+    const error = Math.max(tolerance * tolerance, 1e-6);
+
+    // 2. Cut into pieces between breaks; tangents are one-sided at corners
+    // and line ends, centered where a closed loop without corners is split.
+    if (!closed) {
+        const breaks = [0, ...corners.filter(i => i > 0 && i < n - 1), n - 1];
+        return fitPieces(clean, breaks, error, false);
+    }
+
+    if (corners.length === 0) {
+        if (n < 3) return [lineCurve(clean[0], clean[1]), lineCurve(clean[1], clean[0])];
+        const ring = clean.concat([clean[0]]);
+        return fitPieces(ring, [0, Math.floor(n / 2), n], error, true);
+    }
+
+    // Rotate so the loop starts (and ends) on the first corner
+    const offset = corners[0];
+    const ring = [];
+    for (let i = 0; i <= n; i++) ring.push(clean[(offset + i) % n]);
+    const breaks = [...corners.map(i => i - offset), n];
+    return fitPieces(ring, breaks, error, false);
+}
+
+function fitPieces(points, breaks, error, smoothJoins) {
     const curves = [];
-    if (cleanPoints.length < 2) return curves;
-
-    const isClosed = (cleanPoints[0].x === cleanPoints[cleanPoints.length-1].x && 
-                      cleanPoints[0].y === cleanPoints[cleanPoints.length-1].y);
-
-    for (let i = 0; i < cleanPoints.length - 1; i++) {
-        const p0 = cleanPoints[i];
-        const p3 = cleanPoints[i + 1];
-        
-        // Safety: If p0 and p3 are somehow still the same, skip.
-        if (distance(p0, p3) < 0.1) continue;
-
-        const prev = (i === 0) 
-            ? (isClosed ? cleanPoints[cleanPoints.length - 2] : p0) 
-            : cleanPoints[i - 1];
-            
-        const next = (i + 1 === cleanPoints.length - 1)
-            ? (isClosed ? cleanPoints[1] : p3)
-            : cleanPoints[i + 2];
-
-        // --- CORNER LOGIC ---
-        const p0IsCorner = isCorner(prev, p0, p3);
-        const p3IsCorner = isCorner(p0, p3, next);
-
-        let tangent1, tangent2;
-
-        // Calculate Tangent 1 (Start)
-        if (p0IsCorner) {
-            tangent1 = safeNormalize({x: p3.x - p0.x, y: p3.y - p0.y});
-        } else {
-            tangent1 = safeNormalize({x: p3.x - prev.x, y: p3.y - prev.y}); // Catmull-Rom
-        }
+    for (let b = 0; b < breaks.length - 1; b++) {
+        const from = breaks[b];
+        const to = breaks[b + 1];
+        if (to <= from) continue;
 
-        // Calculate Tangent 2 (End)
-        if (p3IsCorner) {
-            tangent2 = safeNormalize({x: p0.x - p3.x, y: p0.y - p3.y});
-        } else {
-            tangent2 = safeNormalize({x: p0.x - next.x, y: p0.y - next.y}); // Catmull-Rom
+        const tHat1 = smoothJoins ? negate(centerTangent(points, from, true)) : leftTangent(points, from, to);
+        const tHat2 = smoothJoins ? centerTangent(points, to, true) : rightTangent(points, from, to);
+        fitCubic(points, from, to, tHat1, tHat2, error, curves);
+    }
+    return curves;
+}
+
+/**
+ * Fits points[first..last] with end tangents tHat1 (leaving first) and
+ * tHat2 (leaving last, pointing back into the piece). Appends to `curves`.
+ */
+function fitCubic(points, first, last, tHat1, tHat2, error, curves) {
+    const p0 = points[first];
+    const p3 = points[last];
+
+    // Two points: nothing to fit, use the standard handle length
+    if (last - first === 1) {
+        const dist = distance(p0, p3) / 3;
+        curves.push({ p0, p1: add(p0, scale(tHat1, dist)), p2: add(p3, scale(tHat2, dist)), p3 });
+        return;
+    }
+
+    let u = chordLengthParameterize(points, first, last);
+    let bezier = generateBezier(points, first, last, u, tHat1, tHat2);
+    let { maxError, splitPoint } = computeMaxError(points, first, last, bezier, u);
+    if (maxError <= error) {
+        curves.push(bezier);
+        return;
+    }
+
+    // Close enough: try re-parameterizing before splitting
+    if (maxError <= error * 4) {
+        for (let i = 0; i < MAX_REPARAMETERIZE; i++) {
+            u = reparameterize(points, first, last, u, bezier);
+            bezier = generateBezier(points, first, last, u, tHat1, tHat2);
+            ({ maxError, splitPoint } = computeMaxError(points, first, last, bezier, u));
+            if (maxError <= error) {
+                curves.push(bezier);
+                return;
+            }
         }
+    }
 
-        const dist = distance(p0, p3);
-        
-        // CLAMP HANDLES: Ensure handles are never longer than 40% of the segment
-        // This prevents loops and "spikes"
-        const maxLen = dist * 0.4;
-        
-        const len1 = p0IsCorner ? Math.min(dist * 0.1, maxLen) : Math.min(dist * 0.33, maxLen);
-        const len2 = p3IsCorner ? Math.min(dist * 0.1, maxLen) : Math.min(dist * 0.33, maxLen);
-
-        const p1 = {
-            x: p0.x + tangent1.x * len1,
-            y: p0.y + tangent1.y * len1
-        };
+    // Split at the worst point and fit both halves
+    const tHatCenter = centerTangent(points, splitPoint, false);
+    fitCubic(points, first, splitPoint, tHat1, tHatCenter, error, curves);
+    fitCubic(points, splitPoint, last, negate(tHatCenter), tHat2, error, curves);
+}
+
+/**
+ * Least-squares handle lengths for fixed end points and tangents.
+ */
+function generateBezier(points, first, last, u, tHat1, tHat2) {
+    const p0 = points[first];
+    const p3 = points[last];
+    let c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+
+    for (let i = 0; i < u.length; i++) {
+        const t = u[i];
+        const b0 = bernstein0(t), b1 = bernstein1(t), b2 = bernstein2(t), b3 = bernstein3(t);
+        const a1 = scale(tHat1, b1);
+        const a2 = scale(tHat2, b2);
+        c00 += dot(a1, a1);
+        c01 += dot(a1, a2);
+        c11 += dot(a2, a2);
 
-        const p2 = {
-            x: p3.x + tangent2.x * len2, // We use + because vector was calculated pointing backwards
-            y: p3.y + tangent2.y * len2
+        const p = points[first + i];
+        const tmp = {
+            x: p.x - (p0.x * (b0 + b1) + p3.x * (b2 + b3)),
+            y: p.y - (p0.y * (b0 + b1) + p3.y * (b2 + b3))
         };
+        x0 += dot(a1, tmp);
+        x1 += dot(a2, tmp);
+    }
+
+    // Cramer's rule
+    const det = c00 * c11 - c01 * c01;
+    let alpha1 = Math.abs(det) < 1e-12 ? 0 : (x0 * c11 - x1 * c01) / det;
+    let alpha2 = Math.abs(det) < 1e-12 ? 0 : (c00 * x1 - c01 * x0) / det;
 
-        curves.push({ p0, p1, p2, p3 });
+    // MATH SAFETY: negative or tiny handles make loops and spikes,
+    // fall back to the standard heuristic (Wu/Barsky)
+    const segLength = distance(p0, p3);
+    const epsilon = 1e-6 * segLength;
+    if (alpha1 < epsilon || alpha2 < epsilon) {
+        alpha1 = alpha2 = segLength / 3;
     }
 
-    return curves;
+    return {
+        p0,
+        p1: add(p0, scale(tHat1, alpha1)),
+        p2: add(p3, scale(tHat2, alpha2)),
+        p3
+    };
+}
+
+/**
+ * One Newton-Raphson step per point towards its closest parameter on the curve.
+ */
+function reparameterize(points, first, last, u, bezier) {
+    const q = [bezier.p0, bezier.p1, bezier.p2, bezier.p3];
+    const q1 = [0, 1, 2].map(i => scale(sub(q[i + 1], q[i]), 3));
+    const q2 = [0, 1].map(i => scale(sub(q1[i + 1], q1[i]), 2));
+
+    return u.map((t, i) => {
+        const p = points[first + i];
+        const qt = bezierPoint(q, t);
+        const q1t = bezierPoint(q1, t);
+        const q2t = bezierPoint(q2, t);
+        const d = sub(qt, p);
+        const numerator = dot(d, q1t);
+        const denominator = dot(q1t, q1t) + dot(d, q2t);
+        if (Math.abs(denominator) < 1e-12) return t;
+        return Math.min(1, Math.max(0, t - numerator / denominator));
+    });
+}
+
+function computeMaxError(points, first, last, bezier, u) {
+    const q = [bezier.p0, bezier.p1, bezier.p2, bezier.p3];
+    let maxError = 0;
+    let splitPoint = Math.floor((first + last) / 2);
+    for (let i = 1; i < u.length - 1; i++) {
+        const d = sub(bezierPoint(q, u[i]), points[first + i]);
+        const dist = dot(d, d);
+        if (dist >= maxError) {
+            maxError = dist;
+            splitPoint = first + i;
+        }
+    }
+    return { maxError, splitPoint };
+}
+
+function chordLengthParameterize(points, first, last) {
+    const u = [0];
+    for (let i = first + 1; i <= last; i++) {
+        u.push(u[u.length - 1] + distance(points[i], points[i - 1]));
+    }
+    const total = u[u.length - 1];
+    return u.map(v => (total > 0 ? v / total : 0));
+}
+
+// De Casteljau evaluation for any degree
+function bezierPoint(ctrl, t) {
+    let pts = ctrl.slice();
+    for (let level = pts.length - 1; level > 0; level--) {
+        for (let i = 0; i < level; i++) {
+            pts[i] = { x: (1 - t) * pts[i].x + t * pts[i + 1].x, y: (1 - t) * pts[i].y + t * pts[i + 1].y };
+        }
+    }
+    return pts[0];
+}
+
+const bernstein0 = t => (1 - t) ** 3;
+const bernstein1 = t => 3 * t * (1 - t) ** 2;
+const bernstein2 = t => 3 * t * t * (1 - t);
+const bernstein3 = t => t ** 3;
+
+// End tangents look a few points into the piece (not past its other end)
+function leftTangent(points, first, last) {
+    return safeNormalize(sub(points[Math.min(first + TANGENT_SPAN, last)], points[first]));
+}
+
+function rightTangent(points, first, last) {
+    return safeNormalize(sub(points[Math.max(last - TANGENT_SPAN, first)], points[last]));
+}
+
+// Tangent through an inner point, pointing backwards (towards lower indices).
+// `wrap` treats points as a ring whose last point repeats the first.
+function centerTangent(points, center, wrap) {
+    const n = points.length;
+    const k = Math.min(TANGENT_SPAN, Math.floor((n - 1) / 2)) || 1;
+    const index = i => (wrap ? ((i % (n - 1)) + (n - 1)) % (n - 1) : Math.min(n - 1, Math.max(0, i)));
+    return safeNormalize(sub(points[index(center - k)], points[index(center + k)]));
+}
+
+/**
+ * Straight segment expressed as a cubic (handles on the end points).
+ */
+function lineCurve(p0, p3) {
+    return { p0, p1: p0, p2: p3, p3 };
+}
+
+/**
+ * Same path walked backwards (used for edges shared by two regions).
+ */
+function reverseCurves(curves) {
+    return curves.slice().reverse().map(c => ({ p0: c.p3, p1: c.p2, p2: c.p1, p3: c.p0 }));
 }
 
 /**
  * Removes sequential duplicate points.
  * Spikes happen when P[i] and P[i+1] are identical.
+ * `indexMap[i]` is the index in the result that input point i ended up as.
  */
-function filterDuplicates(points, threshold = 0.5) {
-    if (points.length < 2) return points;
-    const result = [points[0]];
-    
-    for (let i = 1; i < points.length; i++) {
-        const last = result[result.length - 1];
+function filterDuplicates(points, closed, threshold = 1e-3) {
+    const result = [];
+    const indexMap = new Int32Array(points.length);
+    for (let i = 0; i < points.length; i++) {
         const curr = points[i];
-        if (distance(last, curr) > threshold) {
+        if (result.length === 0 || distance(result[result.length - 1], curr) > threshold) {
             result.push(curr);
         }
+        indexMap[i] = result.length - 1;
     }
-    // If closed, ensure start/end match exactly
-    if (points.length > 2) {
-        const first = points[0];
-        const last = points[points.length-1];
-        if (first.x === last.x && first.y === last.y) {
-             // Make sure the cleaned list is also closed
-             if (distance(result[0], result[result.length-1]) > threshold) {
-                 result.push(result[0]);
-             }
+    // Closed loops are kept without the repeated first point
+    if (closed) {
+        while (result.length > 1 && distance(result[0], result[result.length - 1]) <= threshold) {
+            result.pop();
+        }
+        for (let i = 0; i < indexMap.length; i++) {
+            if (indexMap[i] >= result.length) indexMap[i] = 0;
         }
     }
-    return result;
+    return { points: result, indexMap };
 }
 
-function isCorner(prev, curr, next) {
-    if (!prev || !next) return true;
-    
-    // Safety check for duplicates in corner logic
-    if (distance(prev, curr) < 0.1 || distance(curr, next) < 0.1) return false;
-
-    const v1 = safeNormalize({x: curr.x - prev.x, y: curr.y - prev.y});
-    const v2 = safeNormalize({x: next.x - curr.x, y: next.y - curr.y});
-
-    const dot = (v1.x * v2.x) + (v1.y * v2.y);
-    return dot < 0.2; // Stricter threshold for corners (approx 78 degrees)
-}
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y });
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const scale = (v, s) => ({ x: v.x * s, y: v.y * s });
+const negate = v => ({ x: -v.x, y: -v.y });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
 
 // SAFE NORMALIZE: Never crashes on zero-length vectors
 function safeNormalize(v) {
@@ -129,15 +311,23 @@ function distance(p1, p2) {
 
 // --- Test Block ---
 if (require.main === module) {
-    const points = [
-        {x: 0, y: 0},
-        {x: 0.01, y: 0.01}, // Duplicate!
-        {x: 10, y: 10},
-        {x: 20, y: 0}
-    ];
-    console.log("Testing Duplicate Filter & Robust Curve Fit...");
-    const curves = fitCurves(points);
-    console.log(`Generated ${curves.length} curves from ${points.length} input points.`);
-}
-
-module.exports = { fitCurves };
\ No newline at end of file
+    // Dense circle (r = 20) and a square with 4 sharp corners
+    const circle = [];
+    for (let i = 0; i < 120; i++) {
+        const a = (i / 120) * Math.PI * 2;
+        circle.push({x: 30 + 20 * Math.cos(a), y: 30 + 20 * Math.sin(a)});
+    }
+    const square = [];
+    for (let i = 0; i < 40; i++) square.push({x: i, y: 0});
+    for (let i = 0; i < 40; i++) square.push({x: 40, y: i});
+    for (let i = 0; i < 40; i++) square.push({x: 40 - i, y: 40});
+    for (let i = 0; i < 40; i++) square.push({x: 0, y: 40 - i});
+
+    console.log("Testing Least-Squares Curve Fit...");
+    for (const [name, points] of [['circle', circle], ['square', square]]) {
+        const curves = fitCurves(points, { tolerance: 0.5, closed: true });
+        console.log(`${name}: ${curves.length} curves from ${points.length} points`);
+    }
+}
+
+module.exports = { fitCurves, lineCurve, reverseCurves };
\ No newline at end of file
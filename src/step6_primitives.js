@@ -0,0 +1,413 @@
+/**
+ * Step 6: Primitive Recognition
+ * Tests each traced contour against simple geometric shapes and, when one
+ * fits within `tolerance` pixels, replaces the Bezier path with the native
+ * SVG element: <circle>, <ellipse>, <rect> (optionally rotated), <line>
+ * (a rectangle much longer than wide, drawn as a stroke) or <polygon>
+ * (regular polygons with 3, 5, 6, 7 or 8 sides; 4 sides are rectangles).
+ *
+ * Fits work on the raw contour (the same points the curves were fitted to):
+ * - circle/ellipse: centroid and second moments of the enclosed area
+ * - rectangle:      minimum-area bounding box (rotating calipers on the convex hull)
+ * - polygon:        Douglas-Peucker vertices, replaced by the ideal regular polygon
+ *
+ * The error of a fit is the largest distance of any contour point from the
+ * primitive's outline. Shapes with holes and centerline strokes keep their paths.
+ */
+const { simplifyPath } = require('./step4_simplification');
+
+const ALL_TYPES = ['circle', 'ellipse', 'rect', 'line', 'polygon'];
+// Contours with fewer points are too coarse to tell shapes apart
+const MIN_POINTS = 8;
+// A rectangle this many times longer than wide becomes a <line>
+const LINE_ASPECT = 5;
+// Rotations closer than this (degrees) to a multiple of 90 are snapped to 0
+const SNAP_ANGLE = 1;
+// Richer primitives must beat simpler ones by this much (fraction of the tolerance)
+const COMPLEXITY_PENALTY = { circle: 0, rect: 0, line: 0, ellipse: 0.25, polygon: 0.25 };
+
+/**
+ * Sets `shape.primitive` on every shape whose contour matches a primitive.
+ *
+ * @param {Array<{contour: Array<{x,y}>, holes?: Array}>} shapes
+ * @param {object} options - { tolerance = 1.0, types = ALL_TYPES }
+ * @param {{log: Function}} logger
+ * @returns {number} Number of recognized shapes
+ */
+function recognizePrimitives(shapes, options = {}, logger) {
+    let count = 0;
+    for (const shape of shapes) {
+        // Paths with holes and centerline strokes stay as they are
+        if ((shape.holes && shape.holes.length > 0) || shape.strokeWidth) continue;
+        const primitive = fitPrimitive(shape.contour, options);
+        if (primitive) {
+            shape.primitive = primitive;
+            count++;
+        }
+    }
+    if (logger) logger.log(`Primitives recognized: ${count}/${shapes.length} shapes`);
+    return count;
+}
+
+/**
+ * Best primitive for a closed contour, or null if none fits.
+ * @returns {null | {type: 'circle', cx, cy, r}
+ *               | {type: 'ellipse', cx, cy, rx, ry, angle}
+ *               | {type: 'rect', x, y, width, height, angle}
+ *               | {type: 'line', x1, y1, x2, y2, strokeWidth}
+ *               | {type: 'polygon', points: Array<{x,y}>}}
+ *          `angle` is a rotation in degrees around the shape's center
+ */
+function fitPrimitive(points, options = {}) {
+    const { tolerance = 1.0, types = ALL_TYPES } = options;
+    if (!points || points.length < MIN_POINTS) return null;
+
+    const moments = areaMoments(points);
+    if (moments.area <= 0) return null;
+
+    const candidates = [];
+    const consider = (type, build, fit) => {
+        if (!types.includes(type)) return;
+        const primitive = build();
+        if (!primitive) return;
+        const error = fit(primitive);
+        if (error <= tolerance) candidates.push({ primitive, score: error / Math.max(tolerance, 1e-9) + COMPLEXITY_PENALTY[type] });
+    };
+
+    consider('circle', () => fitCircle(points, moments), c => maxError(points, p => Math.abs(Math.hypot(p.x - c.cx, p.y - c.cy) - c.r)));
+    consider('ellipse', () => fitEllipse(moments), e => maxError(points, p => ellipseDistance(e, p)));
+
+    const box = minAreaRect(points);
+    if (box) {
+        const rect = rectFromBox(box);
+        const long = Math.max(box.width, box.height);
+        const short = Math.min(box.width, box.height);
+        const rectError = maxError(points, p => boxDistance(box, p));
+        if (long >= LINE_ASPECT * short) {
+            consider('line', () => lineFromBox(box), () => rectError);
+        } else {
+            consider('rect', () => rect, () => rectError);
+        }
+    }
+
+    consider('polygon', () => fitRegularPolygon(points, moments, tolerance), poly => maxError(points, p => polygonDistance(poly.points, p)));
+
+    if (candidates.length === 0) return null;
+    candidates.sort((a, b) => a.score - b.score);
+    return candidates[0].primitive;
+}
+
+// --- Fits ---
+
+function fitCircle(points, moments) {
+    const { cx, cy } = moments;
+    const r = points.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / points.length;
+    return { type: 'circle', cx, cy, r };
+}
+
+/**
+ * A filled ellipse with semi-axes a >= b has variances a^2/4 and b^2/4 along its axes.
+ */
+function fitEllipse(moments) {
+    const { cx, cy, sxx, syy, sxy } = moments;
+    const mean = (sxx + syy) / 2;
+    const diff = Math.sqrt(((sxx - syy) / 2) ** 2 + sxy * sxy);
+    const rx = 2 * Math.sqrt(Math.max(0, mean + diff));
+    const ry = 2 * Math.sqrt(Math.max(0, mean - diff));
+    if (ry <= 0) return null;
+    const angle = snapAngle(Math.atan2(2 * sxy, sxx - syy) / 2 * 180 / Math.PI);
+    // Upright: the major axis is vertical, no rotation needed
+    if (Math.abs(angle) === 90) return { type: 'ellipse', cx, cy, rx: ry, ry: rx, angle: 0 };
+    return { type: 'ellipse', cx, cy, rx, ry, angle };
+}
+
+/**
+ * Douglas-Peucker on the closed contour. With 3 or 5-8 vertices that are
+ * about equally far from the center, returns the ideal regular polygon.
+ */
+function fitRegularPolygon(points, moments, tolerance) {
+    const { cx, cy } = moments;
+
+    // Start on the point farthest from the center: always a vertex
+    let start = 0;
+    let farthest = -1;
+    points.forEach((p, i) => {
+        const d = Math.hypot(p.x - cx, p.y - cy);
+        if (d > farthest) {
+            farthest = d;
+            start = i;
+        }
+    });
+    const ring = points.slice(start).concat(points.slice(0, start + 1));
+
+    // Douglas-Peucker needs distinct end points: simplify both halves of the
+    // loop, split at the point farthest from the start
+    let middle = 0;
+    let longest = -1;
+    ring.forEach((p, i) => {
+        const d = Math.hypot(p.x - ring[0].x, p.y - ring[0].y);
+        if (d > longest) {
+            longest = d;
+            middle = i;
+        }
+    });
+    const vertices = dropCollinear(simplifyPath(ring.slice(0, middle + 1), tolerance).slice(0, -1)
+        .concat(simplifyPath(ring.slice(middle), tolerance).slice(0, -1)), tolerance);
+    const n = vertices.length;
+    if (n < 3 || n === 4 || n > 8) return null;
+
+    const radii = vertices.map(v => Math.hypot(v.x - cx, v.y - cy));
+    const R = radii.reduce((a, b) => a + b, 0) / n;
+    if (radii.some(r => Math.abs(r - R) > 2 * tolerance)) return null;
+
+    // Contour order decides the winding; average the phase of all vertices
+    const step = (signedArea(vertices) >= 0 ? 1 : -1) * 2 * Math.PI / n;
+    let sin = 0, cos = 0;
+    vertices.forEach((v, k) => {
+        const phase = Math.atan2(v.y - cy, v.x - cx) - step * k;
+        sin += Math.sin(phase);
+        cos += Math.cos(phase);
+    });
+    const phase = Math.atan2(sin, cos);
+
+    const ideal = [];
+    for (let k = 0; k < n; k++) {
+        const a = phase + step * k;
+        ideal.push({ x: cx + R * Math.cos(a), y: cy + R * Math.sin(a) });
+    }
+    return { type: 'polygon', points: ideal };
+}
+
+/**
+ * Removes closed-polygon vertices that lie within `tolerance` of the line
+ * through their neighbors (Douglas-Peucker can split a straight side when
+ * several points tie for the largest distance).
+ */
+function dropCollinear(vertices, tolerance) {
+    const result = vertices.slice();
+    let changed = true;
+    while (changed && result.length > 3) {
+        changed = false;
+        for (let i = 0; i < result.length && result.length > 3; i++) {
+            const prev = result[(i - 1 + result.length) % result.length];
+            const next = result[(i + 1) % result.length];
+            if (segmentDistance(result[i], prev, next) <= tolerance) {
+                result.splice(i, 1);
+                changed = true;
+                break;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Smallest-area rectangle around the contour, aligned with one convex hull edge.
+ * @returns {{cx, cy, width, height, angle}} `width` runs along `angle` (radians)
+ */
+function minAreaRect(points) {
+    const hull = convexHull(points);
+    if (hull.length < 3) return null;
+
+    let best = null;
+    for (let i = 0; i < hull.length; i++) {
+        const a = hull[i];
+        const b = hull[(i + 1) % hull.length];
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+
+        let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+        for (const p of hull) {
+            const u = p.x * cos + p.y * sin;
+            const v = -p.x * sin + p.y * cos;
+            minU = Math.min(minU, u); maxU = Math.max(maxU, u);
+            minV = Math.min(minV, v); maxV = Math.max(maxV, v);
+        }
+        const area = (maxU - minU) * (maxV - minV);
+        if (!best || area < best.area) {
+            const u = (minU + maxU) / 2;
+            const v = (minV + maxV) / 2;
+            best = {
+                area,
+                cx: u * cos - v * sin,
+                cy: u * sin + v * cos,
+                width: maxU - minU,
+                height: maxV - minV,
+                angle
+            };
+        }
+    }
+    return best.height > 0 && best.width > 0 ? best : null;
+}
+
+/**
+ * Rectangle in SVG terms: axis-aligned x/y/width/height plus a rotation
+ * around its center. The rotation is normalized to (-45, 45] degrees.
+ */
+function rectFromBox(box) {
+    let degrees = box.angle * 180 / Math.PI;
+    let { width, height } = box;
+    // Rotating by 90 degrees swaps the sides
+    while (degrees > 45) { degrees -= 90; [width, height] = [height, width]; }
+    while (degrees <= -45) { degrees += 90; [width, height] = [height, width]; }
+    const angle = snapAngle(degrees);
+    return { type: 'rect', x: box.cx - width / 2, y: box.cy - height / 2, width, height, angle };
+}
+
+function lineFromBox(box) {
+    const alongWidth = box.width >= box.height;
+    const half = (alongWidth ? box.width : box.height) / 2;
+    const angle = alongWidth ? box.angle : box.angle + Math.PI / 2;
+    const dx = Math.cos(angle) * half;
+    const dy = Math.sin(angle) * half;
+    return {
+        type: 'line',
+        x1: box.cx - dx, y1: box.cy - dy,
+        x2: box.cx + dx, y2: box.cy + dy,
+        strokeWidth: alongWidth ? box.height : box.width
+    };
+}
+
+// --- Distances ---
+
+function maxError(points, distanceFn) {
+    let worst = 0;
+    for (const p of points) worst = Math.max(worst, distanceFn(p));
+    return worst;
+}
+
+/**
+ * Approximate distance to the ellipse outline: radial offset from the
+ * outline along the line through the center.
+ */
+function ellipseDistance(e, p) {
+    const a = e.angle * Math.PI / 180;
+    const dx = p.x - e.cx, dy = p.y - e.cy;
+    const u = dx * Math.cos(a) + dy * Math.sin(a);
+    const v = -dx * Math.sin(a) + dy * Math.cos(a);
+    const dist = Math.hypot(u, v);
+    const k = Math.sqrt((u / e.rx) ** 2 + (v / e.ry) ** 2);
+    if (k === 0) return Math.min(e.rx, e.ry);
+    return Math.abs(dist - dist / k);
+}
+
+function boxDistance(box, p) {
+    const cos = Math.cos(box.angle), sin = Math.sin(box.angle);
+    const dx = p.x - box.cx, dy = p.y - box.cy;
+    const u = Math.abs(dx * cos + dy * sin) - box.width / 2;
+    const v = Math.abs(-dx * sin + dy * cos) - box.height / 2;
+    if (u <= 0 && v <= 0) return Math.min(-u, -v);
+    return Math.hypot(Math.max(u, 0), Math.max(v, 0));
+}
+
+function polygonDistance(vertices, p) {
+    let best = Infinity;
+    for (let i = 0; i < vertices.length; i++) {
+        best = Math.min(best, segmentDistance(p, vertices[i], vertices[(i + 1) % vertices.length]));
+    }
+    return best;
+}
+
+function segmentDistance(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// --- Geometry helpers ---
+
+/**
+ * Area, centroid and central second moments (per unit area) of the polygon.
+ */
+function areaMoments(points) {
+    let a = 0, mx = 0, my = 0, mxx = 0, myy = 0, mxy = 0;
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % points.length];
+        const cross = p.x * q.y - q.x * p.y;
+        a += cross;
+        mx += (p.x + q.x) * cross;
+        my += (p.y + q.y) * cross;
+        mxx += (p.x * p.x + p.x * q.x + q.x * q.x) * cross;
+        myy += (p.y * p.y + p.y * q.y + q.y * q.y) * cross;
+        mxy += (p.x * q.y + 2 * p.x * p.y + 2 * q.x * q.y + q.x * p.y) * cross;
+    }
+    a /= 2;
+    if (a === 0) return { area: 0 };
+    // Orientation independent: dividing by the signed area cancels the sign
+    const cx = mx / (6 * a);
+    const cy = my / (6 * a);
+    return {
+        area: Math.abs(a),
+        cx,
+        cy,
+        sxx: mxx / (12 * a) - cx * cx,
+        syy: myy / (12 * a) - cy * cy,
+        sxy: mxy / (24 * a) - cx * cy
+    };
+}
+
+function signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const j = (i + 1) % points.length;
+        area += points[i].x * points[j].y - points[j].x * points[i].y;
+    }
+    return area / 2;
+}
+
+// Andrew's monotone chain
+function convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/**
+ * Rounds angles within SNAP_ANGLE of a multiple of 90 degrees to it.
+ */
+function snapAngle(degrees) {
+    for (const target of [-180, -90, 0, 90, 180]) {
+        if (Math.abs(degrees - target) < SNAP_ANGLE) return target;
+    }
+    return degrees;
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    const ring = (n, fn) => Array.from({ length: n }, (_, i) => fn((i / n) * Math.PI * 2));
+    const tests = {
+        circle: ring(80, a => ({ x: 50 + 20 * Math.cos(a), y: 50 + 20 * Math.sin(a) })),
+        ellipse: ring(80, a => ({ x: 50 + 30 * Math.cos(a), y: 50 + 12 * Math.sin(a) })),
+        'upright ellipse': ring(80, a => ({ x: 50 + 12 * Math.cos(a), y: 50 + 30 * Math.sin(a) })),
+        square: [...Array(20).keys()].flatMap(i => [{ x: 10 + i, y: 10 }]).concat(
+            [...Array(20).keys()].map(i => ({ x: 30, y: 10 + i })),
+            [...Array(20).keys()].map(i => ({ x: 30 - i, y: 30 })),
+            [...Array(20).keys()].map(i => ({ x: 10, y: 30 - i }))),
+        hexagon: ring(6, a => ({ x: 50 + 25 * Math.cos(a), y: 50 + 25 * Math.sin(a) }))
+            .flatMap((p, i, all) => {
+                const q = all[(i + 1) % all.length];
+                return [...Array(10).keys()].map(t => ({ x: p.x + (q.x - p.x) * t / 10, y: p.y + (q.y - p.y) * t / 10 }));
+            })
+    };
+
+    console.log("--- Step 6 Test ---");
+    for (const [name, points] of Object.entries(tests)) {
+        const primitive = fitPrimitive(points, { tolerance: 1.0 });
+        console.log(`${name}: ${primitive ? primitive.type : 'none'}`);
+    }
+}
+
+module.exports = { recognizePrimitives, fitPrimitive };
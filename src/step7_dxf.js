@@ -0,0 +1,177 @@
+/**
+ * Step 7 (DXF): DXF Writing
+ * For plotters, vinyl cutters and CAD: an AutoCAD R12 (AC1009) drawing with
+ * one layer per palette color (layer-N, N = shape.layer + 1, the same names
+ * as the SVG groups) colored with the nearest AutoCAD color index.
+ *
+ * R12 has no Bezier curves, so every curve is flattened into a POLYLINE with
+ * at most FLATNESS (viewBox units) between the curve and its chords. Holes
+ * are closed polylines of their own. Nothing is filled: cutters follow the
+ * outlines. Centerline strokes keep their width (polyline start/end width).
+ *
+ * Coordinates are in the viewport units ($INSUNITS: px = unitless, mm, in)
+ * with the y axis pointing up, so the drawing is not mirrored.
+ */
+const { shapeSubpaths } = require('./path_data');
+const { viewBoxTransform } = require('./viewport');
+
+const FLATNESS = 0.1;
+const INSUNITS = { px: 0, in: 1, mm: 4 };
+
+/**
+ * @param {Array<object>} shapes - In paint order, output coordinates
+ * @param {object} viewport - From computeViewport
+ * @param {object} options - { precision }
+ * @returns {string} DXF document
+ */
+function buildDXF(shapes, viewport, options = {}) {
+    const { precision = 2 } = options;
+    // DXF wants plain decimals, never exponents (String(1e-7) is "1e-7")
+    const n = value => {
+        const text = (value || 0).toFixed(precision);
+        const trimmed = text.includes('.') ? text.replace(/0+$/, '').replace(/\.$/, '') : text;
+        return trimmed === '-0' ? '0' : trimmed;
+    };
+
+    const t = viewBoxTransform(viewport, viewport.width, viewport.height);
+    const toDrawing = p => ({ x: p.x * t.scaleX + t.translateX, y: viewport.height - (p.y * t.scaleY + t.translateY) });
+
+    const layers = new Map();
+    for (const shape of shapes) {
+        const name = layerName(shape);
+        if (!layers.has(name)) layers.set(name, nearestColorIndex(shape.color || { r: 0, g: 0, b: 0 }));
+    }
+
+    const out = [];
+    const group = (code, value) => out.push(String(code), String(value));
+
+    group(0, 'SECTION'); group(2, 'HEADER');
+    group(9, '$ACADVER'); group(1, 'AC1009');
+    group(9, '$INSUNITS'); group(70, INSUNITS[viewport.units] ?? 0);
+    group(9, '$EXTMIN'); group(10, 0); group(20, 0);
+    group(9, '$EXTMAX'); group(10, n(viewport.width)); group(20, n(viewport.height));
+    group(0, 'ENDSEC');
+
+    group(0, 'SECTION'); group(2, 'TABLES');
+    group(0, 'TABLE'); group(2, 'LTYPE'); group(70, 1);
+    group(0, 'LTYPE'); group(2, 'CONTINUOUS'); group(70, 0); group(3, 'Solid line'); group(72, 65); group(73, 0); group(40, 0);
+    group(0, 'ENDTAB');
+    group(0, 'TABLE'); group(2, 'LAYER'); group(70, layers.size);
+    for (const [name, colorIndex] of layers) {
+        group(0, 'LAYER'); group(2, name); group(70, 0); group(62, colorIndex); group(6, 'CONTINUOUS');
+    }
+    group(0, 'ENDTAB');
+    group(0, 'ENDSEC');
+
+    group(0, 'SECTION'); group(2, 'ENTITIES');
+    for (const shape of shapes) {
+        const layer = layerName(shape);
+        for (const { curves, closed } of shapeSubpaths(shape)) {
+            if (curves.length === 0) continue;
+            const points = flattenCurves(curves, FLATNESS, closed).map(toDrawing);
+
+            group(0, 'POLYLINE'); group(8, layer); group(66, 1);
+            group(10, 0); group(20, 0); group(30, 0);
+            group(70, closed ? 1 : 0);
+            if (shape.strokeWidth) {
+                const width = n(shape.strokeWidth * t.scaleX);
+                group(40, width); group(41, width);
+            }
+            for (const p of points) {
+                group(0, 'VERTEX'); group(8, layer); group(10, n(p.x)); group(20, n(p.y)); group(30, 0);
+            }
+            group(0, 'SEQEND'); group(8, layer);
+        }
+    }
+    group(0, 'ENDSEC');
+    group(0, 'EOF');
+
+    return out.join('\n') + '\n';
+}
+
+function layerName(shape) {
+    if (shape.layer !== undefined) return `layer-${shape.layer + 1}`;
+    const { r, g, b } = shape.color || { r: 0, g: 0, b: 0 };
+    return `color-${[r, g, b].map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
+
+/**
+ * Points along the curves, each split into enough chords to stay within
+ * `tolerance` (Wang's bound on the second differences of the control points).
+ * A closed path does not repeat its first point.
+ */
+function flattenCurves(curves, tolerance, closed) {
+    const points = [curves[0].p0];
+    for (const { p0, p1, p2, p3 } of curves) {
+        const d = Math.max(
+            Math.hypot(p0.x - 2 * p1.x + p2.x, p0.y - 2 * p1.y + p2.y),
+            Math.hypot(p1.x - 2 * p2.x + p3.x, p1.y - 2 * p2.y + p3.y)
+        );
+        const segments = Math.max(1, Math.ceil(Math.sqrt(0.75 * d / tolerance)));
+        for (let i = 1; i <= segments; i++) {
+            const s = i / segments, u = 1 - s;
+            const a = u * u * u, b = 3 * u * u * s, c = 3 * u * s * s, e = s * s * s;
+            points.push({
+                x: a * p0.x + b * p1.x + c * p2.x + e * p3.x,
+                y: a * p0.y + b * p1.y + c * p2.y + e * p3.y
+            });
+        }
+    }
+    if (closed && points.length > 1) points.pop();
+    return points;
+}
+
+/**
+ * AutoCAD color index (1-255) closest to the color. Indices 1-9 are the
+ * standard colors, 10-249 a wheel of 24 hues in 5 shades (full and half
+ * saturation each), 250-255 grays.
+ */
+function nearestColorIndex(color) {
+    let best = 7, bestDistance = Infinity;
+    ACI_COLORS.forEach((aci, index) => {
+        if (!aci) return;
+        const distance = (aci[0] - color.r) ** 2 + (aci[1] - color.g) ** 2 + (aci[2] - color.b) ** 2;
+        if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+const ACI_COLORS = (() => {
+    const colors = [null,
+        [255, 0, 0], [255, 255, 0], [0, 255, 0], [0, 255, 255], [0, 0, 255], [255, 0, 255],
+        [255, 255, 255], [128, 128, 128], [192, 192, 192]];
+    const shades = [1, 0.65, 0.5, 0.3, 0.15];
+    for (let hue = 0; hue < 24; hue++) {
+        const full = hueColor(hue * 15);
+        for (const shade of shades) {
+            colors.push(full.map(c => Math.round(c * shade)));
+            colors.push(full.map(c => Math.round((c + 255) / 2 * shade)));
+        }
+    }
+    for (const gray of [51, 80, 105, 130, 190, 255]) colors.push([gray, gray, gray]);
+    return colors;
+})();
+
+function hueColor(degrees) {
+    const channel = offset => {
+        const k = (offset + degrees / 60) % 6;
+        return Math.round(255 * (1 - Math.max(0, Math.min(k, 4 - k, 1))));
+    };
+    return [channel(5), channel(3), channel(1)];
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    const corners = [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 50, y: 80 }];
+    const triangle = { layer: 0, color: { r: 255, g: 128, b: 0 }, curves: corners.map((p, i) => ({ p0: p, p1: p, p2: corners[(i + 1) % 3], p3: corners[(i + 1) % 3] })) };
+    const viewport = { viewBox: { x: 0, y: 0, width: 100, height: 100 }, width: 100, height: 100, units: 'px', dpi: 96, preserveAspectRatio: null };
+
+    console.log("--- Step 7 (DXF) Test ---");
+    const dxf = buildDXF([triangle], viewport);
+    console.log(dxf.slice(dxf.indexOf('0\nSECTION\n2\nENTITIES')));
+}
+
+module.exports = { buildDXF };
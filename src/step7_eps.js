@@ -0,0 +1,88 @@
+/**
+ * Step 7 (EPS): Encapsulated PostScript Writing
+ * The same drawing as step7_pdf.js for print workflows and older tools:
+ * one page the size of the viewport, the shapes as Bezier paths in paint
+ * order, holes filled even-odd (eofill).
+ *
+ * PostScript has no transparency: translucent shapes are painted opaque.
+ * Gradient fills are written as their average color.
+ * The conversion settings go into a %%SvgTurnerMetadata comment.
+ */
+const { createNumberFormat, shapeSubpaths } = require('./path_data');
+const { viewBoxTransform, sizeInInches } = require('./viewport');
+
+const POINTS_PER_INCH = 72;
+
+/**
+ * @param {Array<object>} shapes - In paint order, output coordinates
+ * @param {object} viewport - From computeViewport
+ * @param {object} options - { precision, title, description, metadata }
+ * @returns {string} EPS document
+ */
+function buildEPS(shapes, viewport, options = {}) {
+    const { precision = 2, title, description, metadata } = options;
+    const n = createNumberFormat(precision);
+    const fraction = createNumberFormat(3);
+
+    const inches = sizeInInches(viewport);
+    const pageWidth = inches.width * POINTS_PER_INCH;
+    const pageHeight = inches.height * POINTS_PER_INCH;
+    const t = viewBoxTransform(viewport, pageWidth, pageHeight);
+
+    const lines = [
+        '%!PS-Adobe-3.0 EPSF-3.0',
+        `%%BoundingBox: 0 0 ${Math.ceil(pageWidth)} ${Math.ceil(pageHeight)}`,
+        `%%HiResBoundingBox: 0 0 ${n(pageWidth)} ${n(pageHeight)}`,
+        '%%Creator: svg-turner',
+    ];
+    if (title) lines.push(`%%Title: ${commentText(title)}`);
+    if (description) lines.push(`%%SvgTurnerDescription: ${commentText(description)}`);
+    if (metadata) lines.push(`%%SvgTurnerMetadata: ${commentText(JSON.stringify(metadata))}`);
+    lines.push('%%Pages: 1', '%%EndComments', '%%Page: 1 1', 'gsave');
+
+    // Flip y (PostScript counts up from the bottom), then map the viewBox onto the page
+    lines.push(`[1 0 0 -1 0 ${n(pageHeight)}] concat`);
+    lines.push(`[${n(t.scaleX)} 0 0 ${n(t.scaleY)} ${n(t.translateX)} ${n(t.translateY)}] concat`);
+
+    for (const shape of shapes) {
+        const color = shape.color || { r: 0, g: 0, b: 0 };
+        const rgb = [color.r, color.g, color.b].map(c => fraction(c / 255)).join(' ');
+
+        lines.push('newpath');
+        for (const { curves, closed } of shapeSubpaths(shape)) {
+            if (curves.length === 0) continue;
+            lines.push(`${n(curves[0].p0.x)} ${n(curves[0].p0.y)} moveto`);
+            for (const c of curves) {
+                lines.push(`${n(c.p1.x)} ${n(c.p1.y)} ${n(c.p2.x)} ${n(c.p2.y)} ${n(c.p3.x)} ${n(c.p3.y)} curveto`);
+            }
+            if (closed) lines.push('closepath');
+        }
+        if (shape.strokeWidth) {
+            lines.push(`${rgb} setrgbcolor ${n(shape.strokeWidth)} setlinewidth 1 setlinecap 1 setlinejoin stroke`);
+        } else {
+            lines.push(`${rgb} setrgbcolor ${shape.holes && shape.holes.length > 0 ? 'eofill' : 'fill'}`);
+        }
+    }
+
+    lines.push('grestore', 'showpage', '%%EOF');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * DSC comments are one line of printable ASCII.
+ */
+function commentText(text) {
+    return text.replace(/[\r\n]+/g, ' ').replace(/[^\x20-\x7E]/g, '?');
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    const corners = [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 50, y: 80 }];
+    const triangle = { layer: 0, color: { r: 255, g: 128, b: 0 }, curves: corners.map((p, i) => ({ p0: p, p1: p, p2: corners[(i + 1) % 3], p3: corners[(i + 1) % 3] })) };
+    const viewport = { viewBox: { x: 0, y: 0, width: 100, height: 100 }, width: 100, height: 100, units: 'px', dpi: 96, preserveAspectRatio: null };
+
+    console.log("--- Step 7 (EPS) Test ---");
+    console.log(buildEPS([triangle], viewport, { title: 'Triangle' }));
+}
+
+module.exports = { buildEPS };
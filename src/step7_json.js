@@ -0,0 +1,133 @@
+/**
+ * Step 7 (JSON): Shape Tree Export
+ * The raw shape model for post-processing in code, without parsing SVG:
+ *
+ *   {
+ *     viewBox: {x, y, width, height}, width, height, units,
+ *     metadata: {...},                      // as in the SVG <metadata>
+ *     colors: [{layer, color: '#RRGGBB', opacity}],
+ *     shapes: [{
+ *       index,                              // paint order (0 = painted first)
+ *       layer, color, opacity, area, depth,
+ *       outline: {start: [x, y], segments: [[x1, y1, x2, y2, x, y], ...]},
+ *       holes: [{start, segments}, ...],
+ *       strokeWidth?, closed?,              // centerline strokes
+ *       primitive?, gradient?,              // see step6_primitives.js, step2c_gradients.js
+ *       children: [...]                     // the shapes this one contains
+ *     }]
+ *   }
+ *
+ * `shapes` holds the top-level shapes; everything else hangs below its
+ * parent (shape.parent, see zorder.js). Segments are cubic Beziers: two
+ * control points and the end point, starting where the previous one ended.
+ * Coordinates are viewBox units rounded to `precision` decimals.
+ */
+
+/**
+ * @param {Array<object>} shapes - In paint order, output coordinates
+ * @param {object} viewport - From computeViewport
+ * @param {object} options - { precision, compact, metadata }
+ * @returns {string} JSON text (indented unless `compact`)
+ */
+function buildShapeJSON(shapes, viewport, options = {}) {
+    const { precision = 2, compact = false, metadata } = options;
+    const round = value => Number(value.toFixed(precision)) || 0;
+    const point = p => [round(p.x), round(p.y)];
+    const outline = curves => ({
+        start: curves.length > 0 ? point(curves[0].p0) : null,
+        segments: curves.map(c => [...point(c.p1), ...point(c.p2), ...point(c.p3)])
+    });
+
+    const colors = new Map();
+    const nodes = shapes.map((shape, index) => {
+        const color = hexColor(shape.color);
+        const node = {
+            index,
+            layer: shape.layer ?? null,
+            color,
+            opacity: shape.opacity ?? 1,
+            area: round(shape.area ?? 0),
+            depth: shape.depth ?? 0,
+            outline: outline(shape.curves),
+            holes: (shape.holes || []).map(hole => outline(hole.curves))
+        };
+        if (shape.strokeWidth) {
+            node.strokeWidth = round(shape.strokeWidth);
+            node.closed = Boolean(shape.closed);
+        }
+        if (shape.primitive) node.primitive = roundFields(shape.primitive, round, point);
+        if (shape.gradient) {
+            const { id, stops, ...geometry } = shape.gradient;
+            node.gradient = {
+                ...roundFields(geometry, round, point),
+                stops: stops.map(stop => ({ offset: stop.offset, color: hexColor(stop.color) }))
+            };
+        }
+        node.children = [];
+
+        const key = shape.layer ?? color;
+        if (!colors.has(key)) colors.set(key, { layer: node.layer, color, opacity: node.opacity });
+        return node;
+    });
+
+    const roots = [];
+    shapes.forEach((shape, index) => {
+        const parent = shape.parent ?? -1;
+        (parent >= 0 ? nodes[parent].children : roots).push(nodes[index]);
+    });
+
+    const { viewBox, width, height, units } = viewport;
+    const document = {
+        viewBox: { x: round(viewBox.x), y: round(viewBox.y), width: round(viewBox.width), height: round(viewBox.height) },
+        width: round(width),
+        height: round(height),
+        units,
+        metadata: metadata || {},
+        colors: [...colors.values()],
+        shapes: roots
+    };
+    if (compact) return JSON.stringify(document) + '\n';
+    return formatJSON(document, '') + '\n';
+}
+
+/**
+ * JSON.stringify(value, null, 2), but number lists (points, segments) stay on one line.
+ */
+function formatJSON(value, indent) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    const inner = indent + '  ';
+    if (Array.isArray(value)) {
+        if (value.every(item => typeof item === 'number')) return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+        return `[\n${value.map(item => inner + formatJSON(item, inner)).join(',\n')}\n${indent}]`;
+    }
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return '{}';
+    return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${formatJSON(item, inner)}`).join(',\n')}\n${indent}}`;
+}
+
+function roundFields(object, round, point) {
+    const result = {};
+    for (const [key, value] of Object.entries(object)) {
+        if (typeof value === 'number') result[key] = round(value);
+        else if (Array.isArray(value) && key === 'points') result[key] = value.map(point);
+        else result[key] = value;
+    }
+    return result;
+}
+
+function hexColor(color) {
+    if (!color) return null;
+    return '#' + [color.r, color.g, color.b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    const corners = [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 50, y: 80 }];
+    const triangle = { layer: 0, color: { r: 255, g: 128, b: 0 }, curves: corners.map((p, i) => ({ p0: p, p1: p, p2: corners[(i + 1) % 3], p3: corners[(i + 1) % 3] })) };
+    const viewport = { viewBox: { x: 0, y: 0, width: 100, height: 100 }, width: 100, height: 100, units: 'px', dpi: 96, preserveAspectRatio: null };
+
+    console.log("--- Step 7 (JSON) Test ---");
+    console.log(buildShapeJSON([triangle], viewport, { metadata: { source: 'triangle.png' } }));
+}
+
+module.exports = { buildShapeJSON };
@@ -0,0 +1,144 @@
+/**
+ * Step 7 (PDF): PDF Writing
+ * One page the size of the viewport (see viewport.js), with every shape as a
+ * filled (or, in centerline mode, stroked) Bezier path in paint order.
+ *
+ * - Holes use the even-odd fill operator (f*), like fill-rule="evenodd".
+ * - Translucent shapes get an ExtGState with their opacity.
+ * - Gradient fills are written as their average color.
+ * - Primitives are written as the curves they were fitted to.
+ *
+ * The page content is one Flate-compressed stream in viewBox coordinates: a
+ * `cm` maps them onto the page and flips the y axis.
+ */
+const zlib = require('zlib');
+const { createNumberFormat, shapeSubpaths } = require('./path_data');
+const { viewBoxTransform, sizeInInches } = require('./viewport');
+
+const POINTS_PER_INCH = 72;
+
+/**
+ * @param {Array<object>} shapes - In paint order, output coordinates
+ * @param {object} viewport - From computeViewport
+ * @param {object} options - { precision, title, description, metadata }
+ * @returns {Buffer} PDF bytes
+ */
+function buildPDF(shapes, viewport, options = {}) {
+    const { precision = 2, title, description, metadata } = options;
+    const n = createNumberFormat(precision);
+    const fraction = createNumberFormat(3);
+
+    const inches = sizeInInches(viewport);
+    const pageWidth = inches.width * POINTS_PER_INCH;
+    const pageHeight = inches.height * POINTS_PER_INCH;
+    const t = viewBoxTransform(viewport, pageWidth, pageHeight);
+
+    // One graphics state per opacity
+    const opacities = [...new Set(shapes.map(shape => shape.opacity).filter(o => o !== undefined && o < 1))];
+    const stateName = opacity => `GS${opacities.indexOf(opacity)}`;
+
+    const ops = [`1 0 0 -1 0 ${n(pageHeight)} cm`, `${n(t.scaleX)} 0 0 ${n(t.scaleY)} ${n(t.translateX)} ${n(t.translateY)} cm`];
+    for (const shape of shapes) {
+        const color = shape.color || { r: 0, g: 0, b: 0 };
+        const rgb = [color.r, color.g, color.b].map(c => fraction(c / 255)).join(' ');
+        const translucent = shape.opacity !== undefined && shape.opacity < 1;
+
+        ops.push('q');
+        if (translucent) ops.push(`/${stateName(shape.opacity)} gs`);
+        for (const { curves, closed } of shapeSubpaths(shape)) {
+            if (curves.length === 0) continue;
+            ops.push(`${n(curves[0].p0.x)} ${n(curves[0].p0.y)} m`);
+            for (const c of curves) {
+                ops.push(`${n(c.p1.x)} ${n(c.p1.y)} ${n(c.p2.x)} ${n(c.p2.y)} ${n(c.p3.x)} ${n(c.p3.y)} c`);
+            }
+            if (closed) ops.push('h');
+        }
+        if (shape.strokeWidth) {
+            ops.push(`${rgb} RG`, `${n(shape.strokeWidth)} w 1 J 1 j`, 'S');
+        } else {
+            ops.push(`${rgb} rg`, shape.holes && shape.holes.length > 0 ? 'f*' : 'f');
+        }
+        ops.push('Q');
+    }
+    const content = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+
+    const states = opacities.map(o => `/${stateName(o)} << /Type /ExtGState /ca ${fraction(o)} /CA ${fraction(o)} >>`).join(' ');
+    const resources = states ? `<< /ExtGState << ${states} >> >>` : '<< >>';
+    const info = [
+        title ? `/Title ${pdfText(title)}` : '',
+        description ? `/Subject ${pdfText(description)}` : '',
+        metadata ? `/Keywords ${pdfText(JSON.stringify(metadata))}` : '',
+        '/Producer (svg-turner)'
+    ].filter(Boolean).join(' ');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(pageWidth)} ${n(pageHeight)}] ` +
+            `/Resources ${resources} /Contents 4 0 R >>`,
+        { dictionary: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content },
+        `<< ${info} >>`
+    ];
+    return serializePDF(objects);
+}
+
+/**
+ * Numbers the objects from 1, writes the cross-reference table and trailer.
+ * Objects are dictionaries (strings) or { dictionary, stream: Buffer }.
+ * The catalog must be object 1 and the info dictionary the last one.
+ */
+function serializePDF(objects) {
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = [];
+    const append = buffer => {
+        chunks.push(buffer);
+        length += buffer.length;
+    };
+
+    objects.forEach((object, i) => {
+        offsets.push(length);
+        if (typeof object === 'string') {
+            append(Buffer.from(`${i + 1} 0 obj\n${object}\nendobj\n`, 'latin1'));
+        } else {
+            append(Buffer.from(`${i + 1} 0 obj\n${object.dictionary}\nstream\n`, 'latin1'));
+            append(object.stream);
+            append(Buffer.from('\nendstream\nendobj\n', 'latin1'));
+        }
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF'
+    ];
+    append(Buffer.from(xref.join('\n') + '\n', 'latin1'));
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Text string as UTF-16BE hex (any characters, no escaping).
+ */
+function pdfText(text) {
+    const utf16 = Buffer.from(`\uFEFF${text}`, 'utf16le').swap16();
+    return `<${utf16.toString('hex').toUpperCase()}>`;
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    const corners = [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 50, y: 80 }];
+    const triangle = { layer: 0, color: { r: 255, g: 128, b: 0 }, curves: corners.map((p, i) => ({ p0: p, p1: p, p2: corners[(i + 1) % 3], p3: corners[(i + 1) % 3] })) };
+    const viewport = { viewBox: { x: 0, y: 0, width: 100, height: 100 }, width: 100, height: 100, units: 'px', dpi: 96, preserveAspectRatio: null };
+
+    console.log("--- Step 7 (PDF) Test ---");
+    // The compressed page content is binary: show the document structure
+    console.log(buildPDF([triangle], viewport, { title: 'Triangle' }).toString('latin1').replace(/stream\n[\s\S]*?\nendstream/, 'stream ... endstream'));
+}
+
+module.exports = { buildPDF };
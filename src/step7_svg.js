@@ -1,50 +1,354 @@
+const { formatPathData, createNumberFormat, shapeSubpaths } = require('./path_data');
+const { contentBounds } = require('./viewport');
+
 /**
  * Step 7: SVG Building
  * Constructs the final SVG string.
  * 
+ * Shapes with holes are written as a single compound path (outer contour
+ * followed by one sub-path per hole) using fill-rule="evenodd", so holes
+ * are real transparency instead of a patch painted on top.
+ * 
+ * Shapes with a `primitive` (see step6_primitives.js) are written as
+ * <circle>, <ellipse>, <rect>, <line> or <polygon> instead of a path.
+ * Shapes with a `strokeWidth` (centerline mode) are stroked, not filled.
+ * Shapes with a `gradient` (see step2c_gradients.js) reference it from
+ * their fill; every gradient is defined once in <defs>.
+ * 
+ * For editing in design tools, shapes can be grouped by palette color
+ * (`groups`: <g id="layer-N">, N = shape.layer + 1) and colored through CSS
+ * (`colorStyle`): 'classes' writes one rule per color (.color-N), 'variables'
+ * additionally puts the colors into custom properties (--color-N), so a
+ * recolor is a one-line edit. Grouping never paints a shape before a shape
+ * containing it (shape.parent, see zorder.js): when the containment chain
+ * alternates between colors, a color gets more than one group
+ * (layer-N, layer-N-2, ...).
+ * 
+ * For small files: `precision` sets the decimals of coordinates, `commands`
+ * picks 'absolute' or 'relative' path commands, `compact` writes the
+ * shortest path syntax (see path_data.js) without indentation or line
+ * breaks, and `mergePaths` joins filled shapes of one color into a single
+ * path when that cannot change the picture (their bounding boxes do not
+ * overlap each other, nor anything painted in between).
+ * 
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
- * @param {Array<{curves: Array, fillColor: string, width: number, height: number}>} shapes
+ * @param {Array<{curves: Array, holes?: Array<{curves: Array}>, fillColor: string, opacity?: number, primitive?: object, strokeWidth?: number, closed?: boolean, gradient?: object, layer?: number, parent?: number}>} shapes
+ * @param {object} options - { metadata, viewport, title, description, groups, colorStyle,
+ *        precision, commands, compact, mergePaths }: values to record in a <metadata>
+ *        element (e.g. the seed), the viewBox/size from viewport.js (default: 0 0 width
+ *        height), <title> and <desc> texts (left out when empty), grouping by color,
+ *        'attributes' | 'classes' | 'variables', and the serialization settings above
  * @returns {string} SVG XML string
  */
-function buildSVG(width, height, shapes) {
-    let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
-`;
-
-    shapes.forEach(shape => {
-        let pathData = "";
-        
-        if (shape.curves.length > 0) {
-            // Move to start of first curve
-            const start = shape.curves[0].p0;
-            pathData += `M ${toFixed(start.x)} ${toFixed(start.y)}`;
-
-            shape.curves.forEach(curve => {
-                pathData += ` C ${toFixed(curve.p1.x)} ${toFixed(curve.p1.y)} ${toFixed(curve.p2.x)} ${toFixed(curve.p2.y)} ${toFixed(curve.p3.x)} ${toFixed(curve.p3.y)}`;
-            });
-            
-            pathData += " Z"; // Close path
+function buildSVG(width, height, shapes, options = {}) {
+    const { metadata, viewport, title, description, groups = false, colorStyle = 'attributes' } = options;
+    const { precision = 2, commands = 'absolute', compact = false, mergePaths = false } = options;
+    const format = {
+        number: createNumberFormat(precision, compact),
+        fraction: createNumberFormat(2, compact), // opacities and gradient offsets (0-1)
+        path: { precision, relative: commands === 'relative', compact }
+    };
+
+    // Elements first: they mark which palette classes are used
+    const palette = buildPalette(shapes);
+    const paint = colorStyle === 'attributes' ? attributePaint : classPaint(palette);
+    const blocks = groups ? groupByColor(shapes, palette) : [{ id: null, members: shapes.map((_, i) => i) }];
+    for (const block of blocks) {
+        const runs = mergePaths ? mergeSameColor(block.members, shapes) : block.members.map(i => [i]);
+        block.elements = runs.map(run => shapeToElement(combineShapes(run.map(i => shapes[i])), paint, format));
+    }
+
+    // [depth, text] per line; indented and broken into lines unless compact
+    const lines = [];
+    const size = viewport ? viewportAttributes(viewport, format) : `viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"`;
+    lines.push([0, `<svg xmlns="http://www.w3.org/2000/svg" ${size}>`]);
+
+    if (title) lines.push([1, `<title>${escapeXml(title)}</title>`]);
+    if (description) lines.push([1, `<desc>${escapeXml(description)}</desc>`]);
+    if (metadata) lines.push([1, `<metadata>${escapeXml(JSON.stringify(metadata))}</metadata>`]);
+
+    if (colorStyle !== 'attributes') {
+        lines.push([1, "<style>"], ...paletteStyle(palette, colorStyle, compact).map(line => [2, line]), [1, "</style>"]);
+    }
+
+    const gradients = [...new Set(shapes.map(shape => shape.gradient).filter(Boolean))];
+    if (gradients.length > 0) {
+        lines.push([1, "<defs>"], ...gradients.map(g => [2, gradientToElement(g, format)]), [1, "</defs>"]);
+    }
+
+    for (const block of blocks) {
+        if (block.id === null) {
+            lines.push(...block.elements.map(element => [1, element]));
+        } else {
+            lines.push([1, `<g id="${block.id}">`], ...block.elements.map(element => [2, element]), [1, "</g>"]);
         }
+    }
+
+    lines.push([0, "</svg>"]);
+    if (compact) return lines.map(([, text]) => text).join("");
+    return lines.map(([depth, text]) => "  ".repeat(depth) + text).join("\n");
+}
+
+/**
+ * One element (without indentation) for a shape. `paint(shape, 'fill' | 'stroke')`
+ * returns the color attribute(s).
+ */
+function shapeToElement(shape, paint, format) {
+    const { number: n, fraction } = format;
+
+    // Semi-transparent layers (alpha-aware quantization)
+    const isTranslucent = shape.opacity !== undefined && shape.opacity < 1;
+
+    // Recognized circles, rectangles etc. (step 6) replace the path
+    if (shape.primitive) {
+        const kind = shape.primitive.type === 'line' ? 'stroke' : 'fill';
+        return primitiveToElement(shape.primitive, paint(shape, kind), isTranslucent ? shape.opacity : 1, format);
+    }
+
+    // Centerline strokes (open paths unless the line is a ring)
+    if (shape.strokeWidth) {
+        const strokeOpacity = isTranslucent ? ` stroke-opacity="${fraction(shape.opacity)}"` : "";
+        const pathData = formatPathData(shapeSubpaths(shape), format.path);
+        return `<path d="${pathData}" fill="none" ${paint(shape, 'stroke')} stroke-width="${n(shape.strokeWidth)}"${strokeOpacity} stroke-linecap="round" stroke-linejoin="round"/>`;
+    }
+
+    const holes = shape.holes || [];
+    const pathData = formatPathData(shapeSubpaths(shape), format.path);
+
+    const fillRule = holes.length > 0 ? ` fill-rule="evenodd"` : "";
+    const fillOpacity = isTranslucent ? ` fill-opacity="${fraction(shape.opacity)}"` : "";
 
-        // Use fillColor directly (e.g., "rgb(r,g,b)") or convert if it's an object
-        let fillAttr = shape.fillColor;
-        if (!fillAttr && shape.color) {
-             fillAttr = rgbToHex(shape.color.r, shape.color.g, shape.color.b);
+    return `<path d="${pathData}" ${paint(shape, 'fill')}${fillRule}${fillOpacity} stroke="none"/>`;
+}
+
+/**
+ * Joins a run from mergeSameColor into one shape: the other shapes' contours
+ * become extra sub-paths. They do not overlap, so evenodd fills them all.
+ */
+function combineShapes(run) {
+    if (run.length === 1) return run[0];
+    const [first, ...rest] = run;
+    const subpaths = rest.flatMap(shape => [{ contour: shape.contour, curves: shape.curves }, ...(shape.holes || [])]);
+    return { ...first, holes: [...(first.holes || []), ...subpaths] };
+}
+
+/**
+ * Splits shape indices (in paint order) into runs that can share one path:
+ * filled paths of the same palette color and opacity. A shape moves back
+ * into an earlier run only if its bounding box overlaps neither that run's
+ * shapes nor any shape painted in between.
+ * @returns {number[][]} Runs of shape indices, in paint order
+ */
+function mergeSameColor(members, shapes) {
+    const runs = [];
+    for (const i of members) {
+        const shape = shapes[i];
+        const box = contentBounds([shape]);
+        const key = shape.primitive || shape.strokeWidth || !box ? null : `${paletteKey(shape)}|${shape.opacity}`;
+
+        let target = null;
+        if (key !== null) {
+            for (let r = runs.length - 1; r >= 0; r--) {
+                const run = runs[r];
+                const overlapping = run.boxes.some(other => boxesOverlap(box, other));
+                if (run.key === key && !overlapping) {
+                    target = run;
+                    break;
+                }
+                if (overlapping) break; // Cannot move below something it overlaps
+            }
         }
-        
-        // Ensure we have a fallback
-        if (!fillAttr) fillAttr = "black";
 
-        svg += `  <path d="${pathData}" fill="${fillAttr}" stroke="none"/>
-`;
+        if (target) {
+            target.indices.push(i);
+            target.boxes.push(box);
+        } else {
+            runs.push({ key, indices: [i], boxes: box ? [box] : [] });
+        }
+    }
+    return runs.map(run => run.indices);
+}
+
+function boxesOverlap(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Plain fill="..." / stroke="..." attributes.
+ */
+function attributePaint(shape, kind) {
+    return `${kind}="${shapeColor(shape)}"`;
+}
+
+/**
+ * class="color-N" (fills) or class="color-N-stroke" (strokes).
+ */
+function classPaint(palette) {
+    return (shape, kind) => {
+        const entry = palette.get(paletteKey(shape));
+        entry[kind] = true;
+        return `class="color-${entry.n}${kind === 'stroke' ? '-stroke' : ''}"`;
+    };
+}
+
+/**
+ * Lines inside <style> for the palette: one rule per color class, with the
+ * colors in custom properties for 'variables'.
+ */
+function paletteStyle(palette, colorStyle, compact) {
+    const entries = [...palette.values()].sort((a, b) => a.n - b.n);
+    const value = entry => (colorStyle === 'variables' ? `var(--color-${entry.n})` : entry.color);
+    const rule = (selector, declarations) => (compact
+        ? `${selector}{${declarations.map(([name, v]) => `${name}:${v}`).join(";")}}`
+        : `${selector} { ${declarations.map(([name, v]) => `${name}: ${v};`).join(" ")} }`);
+
+    const lines = [];
+    if (colorStyle === 'variables') {
+        const variables = entries.map(entry => [`--color-${entry.n}`, entry.color]);
+        // One variable per line, so a recolor is a one-line edit
+        if (compact) lines.push(rule(":root", variables));
+        else lines.push(":root {", ...variables.map(([name, v]) => `  ${name}: ${v};`), "}");
+    }
+    for (const entry of entries) {
+        if (entry.fill) lines.push(rule(`.color-${entry.n}`, [["fill", value(entry)]]));
+        if (entry.stroke) lines.push(rule(`.color-${entry.n}-stroke`, [["stroke", value(entry)]]));
+    }
+    return lines;
+}
+
+/**
+ * Palette colors by key, numbered after the layer they come from (1-based).
+ * Shapes without a layer are numbered by color, after the layers.
+ */
+function buildPalette(shapes) {
+    const palette = new Map();
+    const lastLayer = shapes.reduce((max, shape) => Math.max(max, shape.layer ?? -1), -1);
+    let next = lastLayer + 2;
+    for (const shape of shapes) {
+        const key = paletteKey(shape);
+        if (palette.has(key)) continue;
+        const n = shape.layer !== undefined ? shape.layer + 1 : next++;
+        palette.set(key, { n, color: paletteColor(shape), fill: false, stroke: false });
+    }
+    return palette;
+}
+
+function paletteKey(shape) {
+    return shape.layer !== undefined ? shape.layer : shapeColor(shape);
+}
+
+function shapeColor(shape) {
+    // Use fillColor directly (e.g., "rgb(r,g,b)") or convert if it's an object
+    let fillAttr = shape.fillColor;
+    if (!fillAttr && shape.color) {
+         fillAttr = rgbToHex(shape.color.r, shape.color.g, shape.color.b);
+    }
+
+    // Ensure we have a fallback
+    return fillAttr || "black";
+}
+
+/**
+ * Hex for flat colors (what design tools show), the url(#...) for gradients.
+ */
+function paletteColor(shape) {
+    if (shape.gradient || !shape.color) return shapeColor(shape);
+    return rgbToHex(shape.color.r, shape.color.g, shape.color.b);
+}
+
+/**
+ * Splits the shapes (in paint order) into groups of one palette color. A
+ * shape joins the first group of its color that comes at or after the group
+ * of its parent, otherwise it opens a new group at the end.
+ * @returns {Array<{id: string, members: number[]}>} Shape indices per group
+ */
+function groupByColor(shapes, palette) {
+    const groups = [];
+    const groupOf = new Int32Array(shapes.length);
+    const openedPerColor = new Map();
+
+    shapes.forEach((shape, i) => {
+        const entry = palette.get(paletteKey(shape));
+        const hasParent = shape.parent !== undefined && shape.parent >= 0;
+        const earliest = hasParent ? groupOf[shape.parent] : 0;
+        let index = groups.findIndex((group, g) => g >= earliest && group.entry === entry);
+        if (index === -1) {
+            const count = (openedPerColor.get(entry) || 0) + 1;
+            openedPerColor.set(entry, count);
+            groups.push({ id: `layer-${entry.n}${count > 1 ? `-${count}` : ''}`, entry, members: [] });
+            index = groups.length - 1;
+        }
+        groups[index].members.push(i);
+        groupOf[i] = index;
     });
+    return groups.map(({ id, members }) => ({ id, members }));
+}
 
-    svg += `</svg>`;
-    return svg;
+/**
+ * Native SVG element for a primitive from step 6. Lines are strokes, the
+ * other primitives are filled like paths. `color` is the paint attribute.
+ */
+function primitiveToElement(primitive, color, opacity, format) {
+    const { number: n, fraction } = format;
+    if (primitive.type === 'line') {
+        const strokeOpacity = opacity < 1 ? ` stroke-opacity="${fraction(opacity)}"` : "";
+        return `<line x1="${n(primitive.x1)}" y1="${n(primitive.y1)}" x2="${n(primitive.x2)}" y2="${n(primitive.y2)}" ${color} stroke-width="${n(primitive.strokeWidth)}"${strokeOpacity} fill="none"/>`;
+    }
+
+    const paint = `${color}${opacity < 1 ? ` fill-opacity="${fraction(opacity)}"` : ""} stroke="none"`;
+    const rotate = (cx, cy) => (primitive.angle ? ` transform="rotate(${n(primitive.angle)} ${n(cx)} ${n(cy)})"` : "");
+
+    switch (primitive.type) {
+        case 'circle':
+            return `<circle cx="${n(primitive.cx)}" cy="${n(primitive.cy)}" r="${n(primitive.r)}" ${paint}/>`;
+        case 'ellipse':
+            return `<ellipse cx="${n(primitive.cx)}" cy="${n(primitive.cy)}" rx="${n(primitive.rx)}" ry="${n(primitive.ry)}"${rotate(primitive.cx, primitive.cy)} ${paint}/>`;
+        case 'rect': {
+            const cx = primitive.x + primitive.width / 2;
+            const cy = primitive.y + primitive.height / 2;
+            return `<rect x="${n(primitive.x)}" y="${n(primitive.y)}" width="${n(primitive.width)}" height="${n(primitive.height)}"${rotate(cx, cy)} ${paint}/>`;
+        }
+        case 'polygon':
+            return `<polygon points="${primitive.points.map(p => `${n(p.x)},${n(p.y)}`).join(" ")}" ${paint}/>`;
+        default:
+            throw new Error(`Unknown primitive type "${primitive.type}"`);
+    }
 }
 
-function toFixed(num) {
-    return Math.round(num * 100) / 100; // 2 decimal places
+/**
+ * <linearGradient> or <radialGradient> in image coordinates.
+ */
+function gradientToElement(gradient, format) {
+    const { number: n, fraction } = format;
+    const stops = gradient.stops
+        .map(stop => `<stop offset="${fraction(stop.offset)}" stop-color="${rgbToHex(stop.color.r, stop.color.g, stop.color.b)}"/>`)
+        .join("");
+
+    if (gradient.type === 'linear') {
+        return `<linearGradient id="${gradient.id}" gradientUnits="userSpaceOnUse" x1="${n(gradient.x1)}" y1="${n(gradient.y1)}" x2="${n(gradient.x2)}" y2="${n(gradient.y2)}">${stops}</linearGradient>`;
+    }
+    if (gradient.type === 'radial') {
+        return `<radialGradient id="${gradient.id}" gradientUnits="userSpaceOnUse" cx="${n(gradient.cx)}" cy="${n(gradient.cy)}" r="${n(gradient.r)}">${stops}</radialGradient>`;
+    }
+    throw new Error(`Unknown gradient type "${gradient.type}"`);
+}
+
+/**
+ * viewBox, width, height and preserveAspectRatio of the root element.
+ * Pixel sizes are written without a unit.
+ */
+function viewportAttributes(viewport, format) {
+    const { viewBox, units, preserveAspectRatio } = viewport;
+    const n = format.number;
+    const unit = units === 'px' ? "" : units;
+    const aspect = preserveAspectRatio ? ` preserveAspectRatio="${preserveAspectRatio}"` : "";
+    return `viewBox="${[viewBox.x, viewBox.y, viewBox.width, viewBox.height].map(n).join(" ")}" ` +
+        `width="${n(viewport.width)}${unit}" height="${n(viewport.height)}${unit}"${aspect}`;
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
 }
 
 function rgbToHex(r, g, b) {
@@ -67,6 +371,15 @@ if (require.main === module) {
     
     console.log("--- Step 7 Test ---");
     console.log(buildSVG(100, 100, [shape]));
+
+    // White page > black ring > white dot: white needs a second group above the ring
+    const square = (layer, color, size, parent) => {
+        const [a, b] = [50 - size / 2, 50 + size / 2];
+        const corners = [{x: a, y: a}, {x: b, y: a}, {x: b, y: b}, {x: a, y: b}];
+        return { layer, color, parent, curves: corners.map((p, i) => ({ p0: p, p1: p, p2: corners[(i + 1) % 4], p3: corners[(i + 1) % 4] })) };
+    };
+    const nested = [square(0, {r: 255, g: 255, b: 255}, 100, -1), square(1, {r: 0, g: 0, b: 0}, 60, 0), square(0, {r: 255, g: 255, b: 255}, 20, 1)];
+    console.log(buildSVG(100, 100, nested, { groups: true, colorStyle: 'variables', title: 'Nested squares' }));
 }
 
 module.exports = { buildSVG };
\ No newline at end of file
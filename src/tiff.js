@@ -0,0 +1,418 @@
+/**
+ * TIFF Decoding
+ * Baseline TIFF in plain JavaScript, one page (IFD) at a time:
+ *
+ * - Byte order: both (II, MM); classic TIFF only (not BigTIFF)
+ * - Compression: none, PackBits, LZW, Deflate; horizontal predictor
+ * - Photometric: bilevel/grayscale (WhiteIsZero, BlackIsZero), RGB, palette, CMYK
+ * - 1, 2, 4, 8 or 16 bits per sample (16 keeps the high byte), chunky or planar
+ * - Strips or tiles; an extra sample is alpha (associated alpha is un-premultiplied)
+ *
+ * JPEG-in-TIFF, YCbCr, CIELab and floating point samples are reported as
+ * unsupported. EXIF blocks (JPEG, PNG eXIf) use the same structure, so the
+ * orientation reader lives here too.
+ */
+const zlib = require('zlib');
+const { ImageDecodeError, UnsupportedImageError } = require('./image_source');
+
+const TAGS = {
+    width: 256, height: 257, bitsPerSample: 258, compression: 259, photometric: 262,
+    stripOffsets: 273, orientation: 274, samplesPerPixel: 277, rowsPerStrip: 278,
+    stripByteCounts: 279, planarConfig: 284, predictor: 317, colorMap: 320,
+    tileWidth: 322, tileLength: 323, tileOffsets: 324, tileByteCounts: 325,
+    extraSamples: 338, sampleFormat: 339
+};
+const COMPRESSION = { 1: 'none', 5: 'lzw', 8: 'deflate', 32946: 'deflate', 32773: 'packbits' };
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * @param {Buffer} bytes - The whole file
+ * @param {{page?: number}} options - Page (0-based) of a multi-page file
+ * @returns {{width: number, height: number, pixels: Uint8ClampedArray, orientation: number, pageCount: number}}
+ * @throws {ImageDecodeError|UnsupportedImageError}
+ */
+function decodeTIFF(bytes, options = {}) {
+    const { page = 0 } = options;
+    const reader = createReader(bytes, 0);
+    const pages = reader.pageOffsets();
+    if (page >= pages.length) {
+        throw new ImageDecodeError(`The TIFF has ${pages.length} page${pages.length === 1 ? '' : 's'}, page ${page} was asked for (pages count from 0)`, 'tiff');
+    }
+    const ifd = reader.readIFD(pages[page]);
+    const tag = (id, fallback) => (ifd.has(id) ? ifd.get(id) : fallback);
+
+    const width = tag(TAGS.width, [0])[0];
+    const height = tag(TAGS.height, [0])[0];
+    const samplesPerPixel = tag(TAGS.samplesPerPixel, [1])[0];
+    const bits = tag(TAGS.bitsPerSample, [1])[0];
+    const compression = COMPRESSION[tag(TAGS.compression, [1])[0]];
+    const photometric = tag(TAGS.photometric, [samplesPerPixel >= 3 ? 2 : 1])[0];
+    const planar = tag(TAGS.planarConfig, [1])[0] === 2;
+    const predictor = tag(TAGS.predictor, [1])[0];
+    const extraSamples = tag(TAGS.extraSamples, []);
+    const sampleFormat = tag(TAGS.sampleFormat, [1])[0];
+
+    if (!(width > 0 && height > 0)) throw new ImageDecodeError('TIFF page without a width and height', 'tiff');
+    if (!compression) throw new UnsupportedImageError(`TIFF compression ${tag(TAGS.compression)[0]} is not supported (use none, LZW, Deflate or PackBits)`, 'tiff');
+    if (![0, 1, 2, 3, 5].includes(photometric)) throw new UnsupportedImageError(`TIFF photometric interpretation ${photometric} is not supported (YCbCr, CIELab, ...)`, 'tiff');
+    if (![1, 2, 4, 8, 16].includes(bits) || sampleFormat !== 1) throw new UnsupportedImageError(`TIFF samples must be unsigned integers of 1-16 bits (got ${bits} bits, format ${sampleFormat})`, 'tiff');
+    if (photometric === 3 && bits > 8) throw new UnsupportedImageError('TIFF palettes of more than 8 bits are not supported', 'tiff');
+    if (predictor !== 1 && !(predictor === 2 && bits >= 8)) throw new UnsupportedImageError(`TIFF predictor ${predictor} is not supported with ${bits} bits per sample`, 'tiff');
+
+    // Every sample as 0-255, interleaved, row after row
+    const samples = readSamples(bytes, ifd, { width, height, samplesPerPixel, bits, compression, planar, predictor, little: reader.little });
+    const pixels = toRGBA(samples, width * height, {
+        photometric,
+        samplesPerPixel,
+        bits,
+        colorMap: tag(TAGS.colorMap, null),
+        alpha: extraSamples.length > 0 ? extraSamples[0] : null
+    });
+    return { width, height, pixels, orientation: tag(TAGS.orientation, [1])[0], pageCount: pages.length };
+}
+
+/**
+ * The orientation tag (1-8) of an EXIF block, 1 if it has none.
+ * @param {Buffer} exif - Starting at the TIFF header ("II*\0" / "MM\0*")
+ */
+function readExifOrientation(exif) {
+    try {
+        const reader = createReader(exif, 0);
+        const ifd = reader.readIFD(reader.firstIFD);
+        const orientation = ifd.has(TAGS.orientation) ? ifd.get(TAGS.orientation)[0] : 1;
+        return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    } catch (err) {
+        return 1; // A broken EXIF block must not stop the image from loading
+    }
+}
+
+/**
+ * Reads IFDs (tag directories). Tag values are arrays of numbers (strings
+ * and undefined data are read as bytes); only what decoding needs.
+ */
+function createReader(bytes, base) {
+    const order = bytes.toString('latin1', base, base + 2);
+    if (order !== 'II' && order !== 'MM') throw new ImageDecodeError('Not a TIFF structure (no byte order mark)', 'tiff');
+    const little = order === 'II';
+    const check = (offset, length) => {
+        if (offset < 0 || offset + length > bytes.length) throw new ImageDecodeError('The TIFF data is truncated', 'tiff');
+    };
+    const u16 = offset => (check(offset, 2), little ? bytes.readUInt16LE(offset) : bytes.readUInt16BE(offset));
+    const u32 = offset => (check(offset, 4), little ? bytes.readUInt32LE(offset) : bytes.readUInt32BE(offset));
+
+    if (u16(base + 2) !== 42) throw new UnsupportedImageError('Only classic TIFF is supported (not BigTIFF)', 'tiff');
+
+    const readValue = (type, offset) => {
+        switch (type) {
+            case 3: return u16(offset);
+            case 4: return u32(offset);
+            case 5: return u32(offset) / (u32(offset + 4) || 1);
+            default: return (check(offset, 1), bytes[offset]);
+        }
+    };
+
+    return {
+        little,
+        firstIFD: base + u32(base + 4),
+        pageOffsets() {
+            const offsets = [];
+            const seen = new Set();
+            let offset = this.firstIFD;
+            while (offset !== base && !seen.has(offset)) {
+                seen.add(offset);
+                offsets.push(offset);
+                offset = base + u32(offset + 2 + u16(offset) * 12);
+            }
+            if (offsets.length === 0) throw new ImageDecodeError('The TIFF has no pages', 'tiff');
+            return offsets;
+        },
+        readIFD(offset) {
+            const tags = new Map();
+            const count = u16(offset);
+            for (let i = 0; i < count; i++) {
+                const entry = offset + 2 + i * 12;
+                const id = u16(entry), type = u16(entry + 2), n = u32(entry + 4);
+                const size = (TYPE_SIZES[type] || 1) * n;
+                const start = size <= 4 ? entry + 8 : base + u32(entry + 8);
+                check(start, size);
+                const values = new Array(n);
+                for (let k = 0; k < n; k++) values[k] = readValue(type, start + k * (TYPE_SIZES[type] || 1));
+                tags.set(id, values);
+            }
+            return tags;
+        }
+    };
+}
+
+/**
+ * Decompresses the strips or tiles into one array of 8-bit samples per pixel
+ * (interleaved, `samplesPerPixel` each).
+ */
+function readSamples(bytes, ifd, layout) {
+    const { width, height, samplesPerPixel, bits, compression, planar, predictor, little } = layout;
+    const tiled = ifd.has(TAGS.tileOffsets);
+    const offsets = ifd.get(tiled ? TAGS.tileOffsets : TAGS.stripOffsets);
+    const counts = ifd.get(tiled ? TAGS.tileByteCounts : TAGS.stripByteCounts);
+    if (!offsets || !counts) throw new ImageDecodeError('The TIFF page has no image data', 'tiff');
+
+    const blockWidth = tiled ? ifd.get(TAGS.tileWidth)[0] : width;
+    const blockHeight = tiled ? ifd.get(TAGS.tileLength)[0] : Math.min(height, (ifd.get(TAGS.rowsPerStrip) || [height])[0]);
+    const across = Math.ceil(width / blockWidth);
+    const down = Math.ceil(height / blockHeight);
+    const planes = planar ? samplesPerPixel : 1;
+    const perBlockPixel = planar ? 1 : samplesPerPixel;
+    const rowBytes = Math.ceil(blockWidth * perBlockPixel * bits / 8);
+
+    const samples = new Uint8Array(width * height * samplesPerPixel);
+    for (let plane = 0; plane < planes; plane++) {
+        for (let by = 0; by < down; by++) {
+            for (let bx = 0; bx < across; bx++) {
+                const index = plane * across * down + by * across + bx;
+                if (index >= offsets.length) throw new ImageDecodeError('The TIFF data is truncated (missing strips or tiles)', 'tiff');
+                const compressed = bytes.subarray(offsets[index], offsets[index] + counts[index]);
+                const rows = tiled ? blockHeight : Math.min(blockHeight, height - by * blockHeight);
+                const block = decompress(compressed, compression, rowBytes * rows);
+                if (predictor === 2) undoPredictor(block, rowBytes, rows, perBlockPixel, bits, little);
+
+                for (let row = 0; row < rows; row++) {
+                    const y = by * blockHeight + row;
+                    if (y >= height) break;
+                    for (let col = 0; col < blockWidth; col++) {
+                        const x = bx * blockWidth + col;
+                        if (x >= width) break;
+                        for (let s = 0; s < perBlockPixel; s++) {
+                            const value = readSample(block, row * rowBytes, col * perBlockPixel + s, bits, little);
+                            samples[(y * width + x) * samplesPerPixel + (planar ? plane : s)] = value;
+                        }
+                    }
+                }
+            }
+        }
+    }
+    return samples;
+}
+
+/**
+ * Sample `index` of a row, scaled to 0-255.
+ */
+function readSample(block, rowStart, index, bits, little) {
+    if (bits === 8) return block[rowStart + index] || 0;
+    if (bits === 16) return block[rowStart + index * 2 + (little ? 1 : 0)] || 0;
+    const bit = index * bits;
+    const byte = block[rowStart + (bit >> 3)] || 0;
+    const value = (byte >> (8 - bits - (bit & 7))) & ((1 << bits) - 1);
+    return Math.round(value * 255 / ((1 << bits) - 1));
+}
+
+function decompress(data, compression, expected) {
+    try {
+        switch (compression) {
+            case 'none': return Uint8Array.from(data); // A copy: the predictor works in place
+            case 'deflate': return zlib.inflateSync(data);
+            case 'packbits': return unpackBits(data, expected);
+            case 'lzw': return decodeLZW(data, expected);
+        }
+    } catch (err) {
+        if (err instanceof ImageDecodeError) throw err;
+        throw new ImageDecodeError(`Corrupt ${compression} data in the TIFF: ${err.message}`, 'tiff');
+    }
+    return data;
+}
+
+function unpackBits(data, expected) {
+    const out = new Uint8Array(expected);
+    let i = 0, o = 0;
+    while (i < data.length && o < expected) {
+        const n = (data[i++] << 24) >> 24; // signed byte
+        if (n >= 0) {
+            for (let k = 0; k <= n && o < expected; k++) out[o++] = data[i++];
+        } else if (n !== -128) {
+            const value = data[i++];
+            for (let k = 0; k <= -n && o < expected; k++) out[o++] = value;
+        }
+    }
+    return out;
+}
+
+/**
+ * TIFF LZW: MSB-first codes of 9-12 bits, 256 = clear, 257 = end,
+ * and the code width grows one code early.
+ */
+function decodeLZW(data, expected) {
+    const prefix = new Int32Array(4096);
+    const suffix = new Uint8Array(4096);
+    const lengths = new Uint16Array(4096);
+    for (let i = 0; i < 256; i++) {
+        suffix[i] = i;
+        lengths[i] = 1;
+        prefix[i] = -1;
+    }
+
+    let out = new Uint8Array(Math.max(expected, 1024));
+    let o = 0;
+    const write = code => {
+        const length = lengths[code];
+        if (o + length > out.length) {
+            const grown = new Uint8Array(Math.max(out.length * 2, o + length));
+            grown.set(out);
+            out = grown;
+        }
+        for (let k = length - 1, c = code; k >= 0; k--, c = prefix[c]) out[o + k] = suffix[c];
+        o += length;
+    };
+    const firstByte = code => {
+        while (prefix[code] !== -1) code = prefix[code];
+        return suffix[code];
+    };
+
+    let bitPos = 0, width = 9, next = 258, previous = -1;
+    const totalBits = data.length * 8;
+    while (bitPos + width <= totalBits) {
+        let code = 0;
+        for (let k = 0; k < width; k++, bitPos++) code = (code << 1) | ((data[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+
+        if (code === 257) break;
+        if (code === 256) {
+            width = 9;
+            next = 258;
+            previous = -1;
+            continue;
+        }
+        if (previous === -1) {
+            if (code > 255) throw new ImageDecodeError('Corrupt LZW data in the TIFF', 'tiff');
+            write(code);
+        } else {
+            if (code > next) throw new ImageDecodeError('Corrupt LZW data in the TIFF', 'tiff');
+            const known = code < next;
+            if (next < 4096) {
+                prefix[next] = previous;
+                suffix[next] = firstByte(known ? code : previous);
+                lengths[next] = lengths[previous] + 1;
+                next++;
+            }
+            write(code);
+        }
+        previous = code;
+        if (next + 1 >= 1 << width && width < 12) width++;
+    }
+    return out.subarray(0, Math.max(o, expected));
+}
+
+/**
+ * Horizontal differencing: every sample is stored as the difference to the
+ * same sample of the pixel on its left.
+ */
+function undoPredictor(block, rowBytes, rows, samplesPerPixel, bits, little) {
+    if (bits === 8) {
+        for (let row = 0; row < rows; row++) {
+            const start = row * rowBytes;
+            for (let i = start + samplesPerPixel; i < start + rowBytes; i++) block[i] = (block[i] + block[i - samplesPerPixel]) & 255;
+        }
+        return;
+    }
+    // 16 bits: the byte order of the file decides which byte is high
+    const get = i => (little ? block[i] | (block[i + 1] << 8) : (block[i] << 8) | block[i + 1]);
+    const set = (i, v) => {
+        block[i + (little ? 0 : 1)] = v & 255;
+        block[i + (little ? 1 : 0)] = (v >> 8) & 255;
+    };
+    for (let row = 0; row < rows; row++) {
+        const start = row * rowBytes;
+        for (let i = start + samplesPerPixel * 2; i < start + rowBytes; i += 2) set(i, get(i) + get(i - samplesPerPixel * 2));
+    }
+}
+
+function toRGBA(samples, pixelCount, { photometric, samplesPerPixel, bits, colorMap, alpha }) {
+    const pixels = new Uint8ClampedArray(pixelCount * 4);
+    const colorSamples = photometric === 2 ? 3 : photometric === 5 ? 4 : 1;
+    const hasAlpha = samplesPerPixel > colorSamples && alpha !== null;
+    const premultiplied = alpha === 1;
+    const paletteSize = 1 << bits;
+
+    for (let i = 0; i < pixelCount; i++) {
+        const s = i * samplesPerPixel;
+        let r, g, b;
+        if (photometric === 2) {
+            r = samples[s]; g = samples[s + 1]; b = samples[s + 2];
+        } else if (photometric === 5) {
+            const k = 255 - samples[s + 3];
+            r = (255 - samples[s]) * k / 255; g = (255 - samples[s + 1]) * k / 255; b = (255 - samples[s + 2]) * k / 255;
+        } else if (photometric === 3) {
+            if (!colorMap) throw new ImageDecodeError('Palette TIFF without a color map', 'tiff');
+            // The stored sample was scaled to 0-255: undo that to get the palette index
+            const index = bits === 8 ? samples[s] : Math.round(samples[s] * (paletteSize - 1) / 255);
+            r = colorMap[index] >> 8; g = colorMap[index + paletteSize] >> 8; b = colorMap[index + 2 * paletteSize] >> 8;
+        } else {
+            r = g = b = photometric === 0 ? 255 - samples[s] : samples[s];
+        }
+
+        const a = hasAlpha ? samples[s + colorSamples] : 255;
+        if (premultiplied && a > 0 && a < 255) {
+            r = r * 255 / a; g = g * 255 / a; b = b * 255 / a;
+        }
+        pixels[i * 4] = r;
+        pixels[i * 4 + 1] = g;
+        pixels[i * 4 + 2] = b;
+        pixels[i * 4 + 3] = a;
+    }
+    return pixels;
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    // Minimal 4x1 8-bit grayscale files, one strip per page, every tag a LONG
+    const writeTIFF = (pages, little = true) => {
+        const u16 = v => { const b = Buffer.alloc(2); little ? b.writeUInt16LE(v) : b.writeUInt16BE(v); return b; };
+        const u32 = v => { const b = Buffer.alloc(4); little ? b.writeUInt32LE(v) : b.writeUInt32BE(v); return b; };
+        const padded = strip => Buffer.concat([strip, Buffer.alloc(strip.length % 2)]);
+        const parts = [];
+        let offset = 8;
+        pages.forEach(({ strip, compression = 1, predictor = 1 }, i) => {
+            const tags = [[256, 4], [257, 1], [258, 8], [259, compression], [262, 1], [273, offset], [278, 1], [279, strip.length], [317, predictor]];
+            const end = offset + padded(strip).length + 2 + tags.length * 12 + 4;
+            // The next directory follows the next page's strip
+            const next = i + 1 < pages.length ? end + padded(pages[i + 1].strip).length : 0;
+            parts.push(padded(strip), u16(tags.length), ...tags.map(([id, value]) => Buffer.concat([u16(id), u16(4), u32(1), u32(value)])), u32(next));
+            offset = end;
+        });
+        return Buffer.concat([Buffer.from(little ? 'II' : 'MM'), u16(42), u32(8 + parts[0].length), ...parts]);
+    };
+    const gray = [10, 20, 30, 40];
+
+    console.log("--- TIFF Test ---");
+    const files = {
+        'uncompressed (II)': writeTIFF([{ strip: Buffer.from(gray) }]),
+        'uncompressed (MM)': writeTIFF([{ strip: Buffer.from(gray) }], false),
+        'PackBits': writeTIFF([{ strip: Buffer.from([3, ...gray]), compression: 32773 }]),
+        'Deflate': writeTIFF([{ strip: zlib.deflateSync(Buffer.from(gray)), compression: 8 }]),
+        // Clear, 10, 20, 30, 40, end of information: 9-bit codes
+        'LZW': writeTIFF([{ strip: Buffer.from([0x80, 0x02, 0x82, 0x81, 0xe1, 0x44, 0x04]), compression: 5 }]),
+        'Deflate + predictor': writeTIFF([{ strip: zlib.deflateSync(Buffer.from([10, 10, 10, 10])), compression: 8, predictor: 2 }]),
+    };
+    for (const [label, file] of Object.entries(files)) {
+        const { width, height, pixels } = decodeTIFF(file);
+        const values = Array.from({ length: width * height }, (_, i) => pixels[i * 4]);
+        console.log(`${label.padEnd(22)} ${width}x${height} ${values.join(' ')}`); // 4x1 10 20 30 40
+    }
+
+    // Second page: a PackBits run of four 7s
+    const twoPages = writeTIFF([{ strip: Buffer.from(gray) }, { strip: Buffer.from([0xfd, 7]), compression: 32773 }]);
+    const second = decodeTIFF(twoPages, { page: 1 });
+    console.log(`${'page 1 of 2'.padEnd(22)} ${second.pageCount} pages, ${Array.from(second.pixels.filter((_, i) => i % 4 === 0)).join(' ')}`); // 7 7 7 7
+
+    const broken = {
+        'page 2 of 2': () => decodeTIFF(twoPages, { page: 2 }),
+        'truncated directory': () => decodeTIFF(files['uncompressed (II)'].subarray(0, 40)),
+        'truncated Deflate': () => decodeTIFF(writeTIFF([{ strip: zlib.deflateSync(Buffer.from(gray)).subarray(0, 4), compression: 8 }])),
+    };
+    for (const [label, decode] of Object.entries(broken)) {
+        try {
+            decode();
+            console.log(`${label.padEnd(22)} decoded (should have failed)`);
+        } catch (err) {
+            console.log(`${label.padEnd(22)} ${err.name}: ${err.message}`); // ImageDecodeError
+        }
+    }
+}
+
+module.exports = { decodeTIFF, readExifOrientation };
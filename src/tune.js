@@ -0,0 +1,162 @@
+/**
+ * Automatic Parameter Tuning
+ * Searches colorCount, simplifyEpsilon and smoothingIters for a goal:
+ *
+ * - maxDeltaE: the mean ΔE of the rendered SVG (see verify.js) must stay at
+ *   or below it. Of the settings that do, the smallest SVG wins.
+ * - maxBytes / maxPaths: the SVG must fit the budget. Of the settings that
+ *   do, the lowest ΔE wins.
+ *
+ * Goals can be combined. If no tried setting meets all of them, the one that
+ * misses them by the smallest margin is used (and reported as such).
+ *
+ * The search is greedy, assuming more colors = lower error and bigger files:
+ * 1. Binary search over COLOR_STEPS for the fewest colors meeting the error
+ *    goal, or the most colors within the budget.
+ * 2. With that count: every step of EPSILON_STEPS, then every step of
+ *    SMOOTHING_STEPS with the best epsilon.
+ *
+ * Every candidate runs the full pipeline and is rendered once, so a search
+ * costs about 15 conversions. The seed is fixed for the whole search.
+ */
+const { runPipeline, SILENT_LOGGER } = require('./pipeline');
+const { preprocessPixels } = require('./step1b_preprocess');
+const { verifySVG } = require('./verify');
+const { changedSettings, mergeConfig } = require('./config');
+
+const COLOR_STEPS = [2, 3, 4, 6, 8, 12, 16, 24, 32, 48, 64];
+const EPSILON_STEPS = [0.5, 0.75, 1, 1.5, 2, 3];
+const SMOOTHING_STEPS = [0, 1, 2, 3];
+
+/**
+ * True if any goal is set.
+ * @param {{maxDeltaE, maxBytes, maxPaths}} goal - config.auto
+ */
+function shouldTune(goal) {
+    return goal.maxDeltaE != null || goal.maxBytes != null || goal.maxPaths != null;
+}
+
+/**
+ * @param {{width, height, pixels}} pixelData - Extracted pixels
+ * @param {object} config - Full pipeline config; `config.auto` holds the goal
+ * @param {{log: Function, warn: Function}} logger
+ * @param {{source?: string}} options - The source name recorded in the SVG, so
+ *        candidates are measured with the same title and metadata as the final file
+ * @returns {Promise<{config: object, report: {colorCount, simplifyEpsilon, smoothingIters, deltaE, bytes, paths, met: boolean, tried: number}}>}
+ *          The config with the chosen settings (and the seed of the search)
+ */
+async function autoTune(pixelData, config, logger = SILENT_LOGGER, options = {}) {
+    const goal = config.auto;
+    const seed = config.quantization.seed ?? Math.floor(Math.random() * 2 ** 31);
+    const seeded = mergeConfig(config, { quantization: { seed } });
+
+    // Preprocess once; candidates are still compared with the original pixels.
+    // Candidates are judged on their SVG, other output formats wait for the winner.
+    const filtered = preprocessPixels(pixelData, config.preprocess);
+    const base = mergeConfig(seeded, { preprocess: { filters: [] }, output: { format: 'svg' } });
+    logger.log(`Auto-tuning for ${describeGoal(goal)}...`);
+
+    const cache = new Map();
+    const evaluate = async settings => {
+        const key = `${settings.colorCount}/${settings.simplifyEpsilon}/${settings.smoothingIters}`;
+        if (!cache.has(key)) {
+            // The same metadata as the final run (see index.js), or the byte count comes out short
+            const metadata = { source: options.source, auto: settings, settings: changedSettings(mergeConfig(seeded, settings)) };
+            const { svg, shapes, viewport } = runPipeline(filtered, mergeConfig(base, settings), SILENT_LOGGER, { metadata });
+            const quality = await verifySVG(pixelData, svg, {}, viewport);
+            const candidate = { ...settings, deltaE: quality.deltaE.mean, bytes: Buffer.byteLength(svg), paths: shapes.length };
+            candidate.violation = violation(candidate, goal);
+            logger.log(`   colors ${settings.colorCount}, simplify ${settings.simplifyEpsilon}, smoothing ${settings.smoothingIters}: ` +
+                `ΔE ${candidate.deltaE.toFixed(2)}, ${candidate.bytes} bytes, ${candidate.paths} paths`);
+            cache.set(key, candidate);
+        }
+        return cache.get(key);
+    };
+
+    // 1. Color count, with the configured epsilon and smoothing
+    const fixed = { simplifyEpsilon: config.simplifyEpsilon, smoothingIters: config.smoothingIters };
+    const wantsQuality = goal.maxDeltaE != null;
+    let low = 0, high = COLOR_STEPS.length - 1;
+    let colorCount = wantsQuality ? COLOR_STEPS[high] : COLOR_STEPS[0];
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const candidate = await evaluate({ colorCount: COLOR_STEPS[mid], ...fixed });
+        const meetsError = goal.maxDeltaE == null || candidate.deltaE <= goal.maxDeltaE;
+        const meetsBudget = withinBudget(candidate, goal);
+        if (wantsQuality ? meetsError : meetsBudget) {
+            colorCount = COLOR_STEPS[mid];
+            if (wantsQuality) high = mid - 1; else low = mid + 1;
+        } else {
+            if (wantsQuality) low = mid + 1; else high = mid - 1;
+        }
+    }
+
+    // 2. Epsilon, then smoothing
+    let best = await evaluate({ colorCount, ...fixed });
+    for (const simplifyEpsilon of EPSILON_STEPS) {
+        best = pickBetter(best, await evaluate({ colorCount, simplifyEpsilon, smoothingIters: best.smoothingIters }), goal);
+    }
+    for (const smoothingIters of SMOOTHING_STEPS) {
+        best = pickBetter(best, await evaluate({ colorCount, simplifyEpsilon: best.simplifyEpsilon, smoothingIters }), goal);
+    }
+
+    const report = {
+        colorCount: best.colorCount,
+        simplifyEpsilon: best.simplifyEpsilon,
+        smoothingIters: best.smoothingIters,
+        deltaE: best.deltaE,
+        bytes: best.bytes,
+        paths: best.paths,
+        met: best.violation === 0,
+        tried: cache.size
+    };
+    const summary = `colors ${report.colorCount}, simplify ${report.simplifyEpsilon}, smoothing ${report.smoothingIters} ` +
+        `(ΔE ${report.deltaE.toFixed(2)}, ${report.bytes} bytes, ${report.paths} paths; ${report.tried} tried)`;
+    if (report.met) {
+        logger.log(`Auto-tuned: ${summary}`);
+    } else {
+        logger.warn(`Warning: no tried setting meets ${describeGoal(goal)}; closest is ${summary}`);
+    }
+
+    const tuned = mergeConfig(seeded, {
+        colorCount: report.colorCount,
+        simplifyEpsilon: report.simplifyEpsilon,
+        smoothingIters: report.smoothingIters
+    });
+    return { config: tuned, report };
+}
+
+function withinBudget(candidate, goal) {
+    return (goal.maxBytes == null || candidate.bytes <= goal.maxBytes) &&
+        (goal.maxPaths == null || candidate.paths <= goal.maxPaths);
+}
+
+/**
+ * How far a candidate misses the goals (sum of the relative excesses), 0 if it meets all.
+ */
+function violation(candidate, goal) {
+    const excess = (value, limit) => (limit == null ? 0 : Math.max(0, value / Math.max(limit, 1e-9) - 1));
+    return excess(candidate.deltaE, goal.maxDeltaE) + excess(candidate.bytes, goal.maxBytes) + excess(candidate.paths, goal.maxPaths);
+}
+
+/**
+ * Closer to the goals wins; between candidates that meet them, the smaller
+ * SVG (error goal) or the lower ΔE (budget goals). Ties keep `current`.
+ */
+function pickBetter(current, candidate, goal) {
+    if (candidate.violation !== current.violation) {
+        return candidate.violation < current.violation ? candidate : current;
+    }
+    const cost = c => (goal.maxDeltaE != null ? c.bytes : c.deltaE);
+    return cost(candidate) < cost(current) ? candidate : current;
+}
+
+function describeGoal(goal) {
+    const parts = [];
+    if (goal.maxDeltaE != null) parts.push(`mean ΔE <= ${goal.maxDeltaE}`);
+    if (goal.maxBytes != null) parts.push(`<= ${goal.maxBytes} bytes`);
+    if (goal.maxPaths != null) parts.push(`<= ${goal.maxPaths} paths`);
+    return parts.join(', ');
+}
+
+module.exports = { autoTune, shouldTune };
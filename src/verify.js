@@ -0,0 +1,257 @@
+/**
+ * Verification
+ * Measures how close a conversion is to its input. The SVG is rendered back
+ * to pixels with node-canvas, at the size of the pixels from extractPixels,
+ * and compared with them:
+ *
+ * - PSNR (dB) over the RGB channels. Infinity for identical images.
+ * - SSIM (0-1) of the luminance, averaged over 8x8 windows (stride 4).
+ * - ΔE (CIE76: distance in CIELAB) per pixel: mean, 95th percentile and max.
+ *   Around 2.3 is just noticeable, above 10 the colors are clearly different.
+ *
+ * Both images are composited over white first, so transparent areas are
+ * compared the way a viewer sees them.
+ */
+const { loadImage, createCanvas } = require('canvas');
+const { rgbToLab } = require('./color');
+
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// ΔE that maps to the hottest heatmap color (fixed, so heatmaps of different runs compare)
+const HEATMAP_MAX_DELTA_E = 25;
+
+/**
+ * True if the options ask for verification: explicitly, through a
+ * threshold or through a heatmap file.
+ *
+ * @param {{enabled, minPsnr, minSsim, maxDeltaE, heatmap}} options - config.verify
+ */
+function shouldVerify(options) {
+    return Boolean(options.enabled) ||
+        options.minPsnr != null || options.minSsim != null || options.maxDeltaE != null || options.heatmap != null;
+}
+
+/**
+ * Renders the SVG and compares it with the pixels it was made from.
+ *
+ * @param {{width, height, pixels: Uint8ClampedArray}} pixelData - Input of the pipeline
+ * @param {string} svg - Its output
+ * @param {object} options - config.verify (thresholds, see checkQuality)
+ * @param {object} [viewport] - From runPipeline, places the viewBox on the pixel grid
+ * @returns {Promise<{psnr, ssim, deltaE: {mean, p95, max}, deltaEMap: Float32Array, width, height, failures: string[]}>}
+ */
+async function verifySVG(pixelData, svg, options = {}, viewport) {
+    const rendered = await renderSVG(svg, pixelData.width, pixelData.height, viewport);
+    const metrics = compareImages(pixelData, rendered);
+    return { ...metrics, failures: checkQuality(metrics, options) };
+}
+
+/**
+ * Rasterizes an SVG string at the given size. Without a viewport the SVG is
+ * stretched over the whole canvas; with one, its viewBox is drawn where it
+ * lies on the pixel grid (cropped or padded output still lines up).
+ *
+ * @param {{viewBox: {x, y, width, height}, scale: number}} [viewport] - From runPipeline
+ * @returns {Promise<{width, height, pixels: Uint8ClampedArray}>}
+ */
+async function renderSVG(svg, width, height, viewport) {
+    let frame = { x: 0, y: 0, width, height };
+    if (viewport) {
+        const { viewBox, scale } = viewport;
+        frame = { x: viewBox.x * scale, y: viewBox.y * scale, width: viewBox.width * scale, height: viewBox.height * scale };
+        // Explicit sizes can have other units and proportions: render at the viewBox's own
+        svg = svg.replace(/<svg\b[^>]*>/, root => root
+            .replace(/ width="[^"]*"/, ` width="${frame.width}"`)
+            .replace(/ height="[^"]*"/, ` height="${frame.height}"`));
+    }
+    const image = await loadImage(Buffer.from(svg));
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, frame.x, frame.y, frame.width, frame.height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    return { width: imageData.width, height: imageData.height, pixels: imageData.data };
+}
+
+/**
+ * @param {{width, height, pixels}} reference
+ * @param {{width, height, pixels}} rendered - Same size as the reference
+ */
+function compareImages(reference, rendered) {
+    const { width, height } = reference;
+    if (rendered.width !== width || rendered.height !== height) {
+        throw new Error(`Cannot compare a ${rendered.width}x${rendered.height} image with a ${width}x${height} one`);
+    }
+
+    const count = width * height;
+    const a = flattenOnWhite(reference.pixels, count);
+    const b = flattenOnWhite(rendered.pixels, count);
+
+    let squared = 0;
+    for (let i = 0; i < count * 3; i++) squared += (a[i] - b[i]) ** 2;
+    const mse = squared / (count * 3);
+    const psnr = mse === 0 ? Infinity : 10 * Math.log10(255 * 255 / mse);
+
+    const deltaEMap = new Float32Array(count);
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        const [l1, a1, b1] = rgbToLab(a[i * 3], a[i * 3 + 1], a[i * 3 + 2]);
+        const [l2, a2, b2] = rgbToLab(b[i * 3], b[i * 3 + 1], b[i * 3 + 2]);
+        deltaEMap[i] = Math.hypot(l1 - l2, a1 - a2, b1 - b2);
+        total += deltaEMap[i];
+    }
+    const sorted = Float32Array.from(deltaEMap).sort();
+
+    return {
+        width,
+        height,
+        psnr,
+        ssim: ssim(luminance(a, count), luminance(b, count), width, height),
+        deltaE: {
+            mean: total / count,
+            p95: sorted[Math.min(count - 1, Math.floor(count * 0.95))],
+            max: sorted[count - 1]
+        },
+        deltaEMap
+    };
+}
+
+/**
+ * Lists the thresholds the metrics miss. Null thresholds are not checked.
+ *
+ * @param {{psnr, ssim, deltaE: {mean}}} metrics
+ * @param {{minPsnr?: number, minSsim?: number, maxDeltaE?: number}} thresholds - maxDeltaE applies to the mean
+ * @returns {string[]} Human readable failures, empty if all pass
+ */
+function checkQuality(metrics, thresholds) {
+    const { minPsnr, minSsim, maxDeltaE } = thresholds;
+    const failures = [];
+    if (minPsnr != null && metrics.psnr < minPsnr) {
+        failures.push(`PSNR ${metrics.psnr.toFixed(2)} dB is below ${minPsnr} dB`);
+    }
+    if (minSsim != null && metrics.ssim < minSsim) {
+        failures.push(`SSIM ${metrics.ssim.toFixed(4)} is below ${minSsim}`);
+    }
+    if (maxDeltaE != null && metrics.deltaE.mean > maxDeltaE) {
+        failures.push(`mean ΔE ${metrics.deltaE.mean.toFixed(2)} is above ${maxDeltaE}`);
+    }
+    return failures;
+}
+
+/**
+ * One line summary, e.g. "PSNR 31.20 dB, SSIM 0.9712, ΔE mean 1.84 / p95 4.10 / max 22.03".
+ */
+function formatQuality(metrics) {
+    const { psnr, ssim: s, deltaE } = metrics;
+    const psnrText = psnr === Infinity ? 'inf' : psnr.toFixed(2);
+    return `PSNR ${psnrText} dB, SSIM ${s.toFixed(4)}, ΔE mean ${deltaE.mean.toFixed(2)} / p95 ${deltaE.p95.toFixed(2)} / max ${deltaE.max.toFixed(2)}`;
+}
+
+/**
+ * Diff heatmap as PNG: black where the images match, through red and
+ * yellow to white at ΔE >= 25.
+ *
+ * @param {{width, height, deltaEMap: Float32Array}} metrics
+ * @returns {Buffer} PNG bytes
+ */
+function renderHeatmap(metrics) {
+    const { width, height, deltaEMap } = metrics;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    const data = imageData.data;
+
+    for (let i = 0; i < deltaEMap.length; i++) {
+        const t = Math.min(1, deltaEMap[i] / HEATMAP_MAX_DELTA_E);
+        data[i * 4] = Math.min(1, 3 * t) * 255;
+        data[i * 4 + 1] = Math.min(1, Math.max(0, 3 * t - 1)) * 255;
+        data[i * 4 + 2] = Math.min(1, Math.max(0, 3 * t - 2)) * 255;
+        data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return canvas.toBuffer('image/png');
+}
+
+/**
+ * RGB (3 values per pixel) of RGBA pixels composited over white.
+ */
+function flattenOnWhite(pixels, count) {
+    const rgb = new Float64Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const alpha = pixels[i * 4 + 3] / 255;
+        for (let c = 0; c < 3; c++) {
+            rgb[i * 3 + c] = pixels[i * 4 + c] * alpha + 255 * (1 - alpha);
+        }
+    }
+    return rgb;
+}
+
+function luminance(rgb, count) {
+    const y = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        y[i] = 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+    }
+    return y;
+}
+
+/**
+ * Mean SSIM over square windows. Images smaller than a window are one window.
+ */
+function ssim(x, y, width, height) {
+    const windowW = Math.min(SSIM_WINDOW, width);
+    const windowH = Math.min(SSIM_WINDOW, height);
+    let total = 0;
+    let windows = 0;
+
+    for (let top = 0; top + windowH <= height; top += SSIM_STRIDE) {
+        for (let left = 0; left + windowW <= width; left += SSIM_STRIDE) {
+            let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+            for (let v = top; v < top + windowH; v++) {
+                for (let u = left; u < left + windowW; u++) {
+                    const a = x[v * width + u];
+                    const b = y[v * width + u];
+                    sx += a;
+                    sy += b;
+                    sxx += a * a;
+                    syy += b * b;
+                    sxy += a * b;
+                }
+            }
+            const n = windowW * windowH;
+            const mx = sx / n, my = sy / n;
+            const vx = sxx / n - mx * mx;
+            const vy = syy / n - my * my;
+            const cov = sxy / n - mx * my;
+            total += ((2 * mx * my + SSIM_C1) * (2 * cov + SSIM_C2)) /
+                ((mx * mx + my * my + SSIM_C1) * (vx + vy + SSIM_C2));
+            windows++;
+        }
+    }
+    return windows > 0 ? total / windows : 1;
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    // A gradient against itself, against a noisy copy and against a flat gray
+    const width = 32, height = 32;
+    const make = fn => {
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            const value = fn(i % width, Math.floor(i / width), i);
+            pixels.set([value, value, 255 - value, 255], i * 4);
+        }
+        return { width, height, pixels };
+    };
+    const source = make(x => x * 8);
+    const noisy = make((x, y, i) => x * 8 + ((i * 7919) % 11) - 5);
+    const flat = make(() => 128);
+
+    console.log("--- Verification Test ---");
+    for (const [name, image] of [['identical', source], ['noisy', noisy], ['flat', flat]]) {
+        console.log(`${name.padEnd(10)} ${formatQuality(compareImages(source, image))}`);
+    }
+}
+
+module.exports = { verifySVG, renderSVG, compareImages, checkQuality, formatQuality, renderHeatmap, shouldVerify };
@@ -0,0 +1,182 @@
+/**
+ * Output Viewport
+ * Tracing works on the upscaled pixel grid (config.scale), but the SVG should
+ * line up with the image it came from. By default every coordinate is mapped
+ * back to the source image (divided by the scale), so a 300x200 PNG becomes a
+ * 300x200 SVG whatever the scale.
+ *
+ * The viewBox is the whole image, or the bounding box of the traced content
+ * ('content' crop), grown by `padding` on every side. The width/height
+ * attributes are that size, or the explicit `width`/`height` (the missing one
+ * follows the aspect ratio), in px, mm or in. Physical units use `dpi` to
+ * convert from pixels.
+ */
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Copies of the shapes with every coordinate multiplied by `factor`.
+ * Shapes share points and curves (planar map edges, gradients), so nothing is
+ * scaled in place. A factor of 1 returns the shapes as they are.
+ *
+ * @param {Array<object>} shapes - Traced shapes (see pipeline.js)
+ * @param {number} factor
+ * @returns {Array<object>}
+ */
+function scaleShapes(shapes, factor) {
+    if (factor === 1) return shapes;
+
+    const point = p => ({ x: p.x * factor, y: p.y * factor });
+    const curve = c => ({ p0: point(c.p0), p1: point(c.p1), p2: point(c.p2), p3: point(c.p3) });
+    const gradients = new Map();
+    const scaleGradient = gradient => {
+        if (!gradients.has(gradient)) gradients.set(gradient, scaleFields(gradient, ['x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r'], factor));
+        return gradients.get(gradient);
+    };
+
+    return shapes.map(shape => {
+        const scaled = {
+            ...shape,
+            area: shape.area * factor * factor,
+            contour: shape.contour.map(point),
+            curves: shape.curves.map(curve),
+            holes: (shape.holes || []).map(hole => ({ contour: hole.contour.map(point), curves: hole.curves.map(curve) }))
+        };
+        if (shape.strokeWidth) scaled.strokeWidth = shape.strokeWidth * factor;
+        if (shape.gradient) scaled.gradient = scaleGradient(shape.gradient);
+        if (shape.primitive) {
+            scaled.primitive = scaleFields(shape.primitive, ['cx', 'cy', 'r', 'rx', 'ry', 'x', 'y', 'width', 'height', 'x1', 'y1', 'x2', 'y2', 'strokeWidth'], factor);
+            if (shape.primitive.points) scaled.primitive.points = shape.primitive.points.map(point);
+        }
+        return scaled;
+    });
+}
+
+/**
+ * Works out the SVG viewBox and size.
+ *
+ * @param {Array<object>} shapes - In output coordinates
+ * @param {number} imageWidth - Image size in output coordinates
+ * @param {number} imageHeight
+ * @param {object} options - config.output: { crop, padding, width, height, units, dpi, preserveAspectRatio }
+ * @returns {{viewBox: {x, y, width, height}, width: number, height: number, units: string, dpi: number, preserveAspectRatio: string|null}}
+ *          `width`/`height` are in `units`
+ */
+function computeViewport(shapes, imageWidth, imageHeight, options = {}) {
+    const { crop = 'none', padding = 0, units = 'px', dpi = 96, preserveAspectRatio = null } = options;
+
+    let box = { x: 0, y: 0, width: imageWidth, height: imageHeight };
+    if (crop === 'content') box = contentBounds(shapes) || box;
+    const viewBox = {
+        x: box.x - padding,
+        y: box.y - padding,
+        width: box.width + 2 * padding,
+        height: box.height + 2 * padding
+    };
+
+    // Explicit sizes are already in `units`; the natural size is in pixels
+    let { width = null, height = null } = options;
+    const aspect = viewBox.width / viewBox.height;
+    if (width == null && height == null) {
+        width = fromPixels(viewBox.width, units, dpi);
+        height = fromPixels(viewBox.height, units, dpi);
+    } else if (width == null) {
+        width = height * aspect;
+    } else if (height == null) {
+        height = width / aspect;
+    }
+
+    return { viewBox, width, height, units, dpi, preserveAspectRatio };
+}
+
+/**
+ * Maps viewBox coordinates onto the width x height box the way SVG does
+ * (preserveAspectRatio, default 'xMidYMid meet'): x' = x * scaleX + translateX.
+ * For writers of other formats.
+ *
+ * @param {{viewBox, preserveAspectRatio}} viewport
+ * @param {number} width - Target box, in any unit
+ * @param {number} height
+ * @returns {{scaleX, scaleY, translateX, translateY}}
+ */
+function viewBoxTransform(viewport, width, height) {
+    const { viewBox, preserveAspectRatio } = viewport;
+    let scaleX = width / viewBox.width;
+    let scaleY = height / viewBox.height;
+    const [align, meetOrSlice = 'meet'] = (preserveAspectRatio || 'xMidYMid meet').split(' ');
+
+    let offsetX = 0, offsetY = 0;
+    if (align !== 'none') {
+        const scale = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+        scaleX = scaleY = scale;
+        const share = position => ({ Min: 0, Mid: 0.5, Max: 1 })[position];
+        offsetX = (width - viewBox.width * scale) * share(align.slice(1, 4));
+        offsetY = (height - viewBox.height * scale) * share(align.slice(5, 8));
+    }
+    return {
+        scaleX,
+        scaleY,
+        translateX: offsetX - viewBox.x * scaleX,
+        translateY: offsetY - viewBox.y * scaleY
+    };
+}
+
+/**
+ * Physical size of the viewport in inches (pixel units use its dpi).
+ * @returns {{width: number, height: number}}
+ */
+function sizeInInches(viewport) {
+    const { width, height, units, dpi = 96 } = viewport;
+    const perInch = units === 'in' ? 1 : units === 'mm' ? MM_PER_INCH : dpi;
+    return { width: width / perInch, height: height / perInch };
+}
+
+/**
+ * Bounding box of everything that gets painted: curve control points (a
+ * Bezier stays inside them), primitives and half the stroke width.
+ * Null if there is nothing.
+ */
+function contentBounds(shapes) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const shape of shapes) {
+        const margin = (shape.strokeWidth || (shape.primitive && shape.primitive.strokeWidth) || 0) / 2;
+        for (const p of outlinePoints(shape)) {
+            minX = Math.min(minX, p.x - margin);
+            minY = Math.min(minY, p.y - margin);
+            maxX = Math.max(maxX, p.x + margin);
+            maxY = Math.max(maxY, p.y + margin);
+        }
+    }
+    if (minX > maxX) return null;
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+function outlinePoints(shape) {
+    const primitive = shape.primitive;
+    if (primitive && primitive.type === 'line') {
+        return [{ x: primitive.x1, y: primitive.y1 }, { x: primitive.x2, y: primitive.y2 }];
+    }
+    if (primitive && (primitive.type === 'circle' || primitive.type === 'ellipse')) {
+        // Bounding square of the largest radius (covers any rotation)
+        const r = primitive.r ?? Math.max(primitive.rx, primitive.ry);
+        return [{ x: primitive.cx - r, y: primitive.cy - r }, { x: primitive.cx + r, y: primitive.cy + r }];
+    }
+    // Rectangles and polygons are fitted to the contour: its curves bound them closely enough
+    return shape.curves.flatMap(c => [c.p0, c.p1, c.p2, c.p3]);
+}
+
+function fromPixels(value, units, dpi) {
+    if (units === 'in') return value / dpi;
+    if (units === 'mm') return value / dpi * MM_PER_INCH;
+    return value;
+}
+
+function scaleFields(object, fields, factor) {
+    const result = { ...object };
+    for (const field of fields) {
+        if (typeof object[field] === 'number') result[field] = object[field] * factor;
+    }
+    return result;
+}
+
+module.exports = { scaleShapes, computeViewport, contentBounds, viewBoxTransform, sizeInInches };
@@ -0,0 +1,130 @@
+/**
+ * Output Writers
+ * Every output format is a writer that turns the same shape list (paint
+ * order, output coordinates) and viewport (see viewport.js) into a file:
+ *
+ *   { extension: '.pdf', write(shapes, viewport, options) => string | Buffer }
+ *
+ * `options` are config.svg (precision, compact, ...) plus the resolved
+ * `title`, `description` and `metadata`; a writer uses what applies to its
+ * format. More formats can be added with registerWriter().
+ */
+const path = require('path');
+const { buildSVG } = require('./step7_svg');
+const { buildPDF } = require('./step7_pdf');
+const { buildEPS } = require('./step7_eps');
+const { buildDXF } = require('./step7_dxf');
+const { buildShapeJSON } = require('./step7_json');
+
+const WRITERS = new Map([
+    ['svg', { extension: '.svg', write: (shapes, viewport, options) => buildSVG(viewport.viewBox.width, viewport.viewBox.height, shapes, { ...options, viewport }) }],
+    ['pdf', { extension: '.pdf', write: buildPDF }],
+    ['eps', { extension: '.eps', write: buildEPS }],
+    ['dxf', { extension: '.dxf', write: buildDXF }],
+    ['json', { extension: '.json', write: buildShapeJSON }],
+]);
+
+/**
+ * Adds (or replaces) an output format.
+ * @param {string} format - Name used by config.output.format
+ * @param {{extension: string, write: Function}} writer
+ */
+function registerWriter(format, writer) {
+    if (typeof writer.write !== 'function') throw new Error(`Writer '${format}' has no write function`);
+    WRITERS.set(format, writer);
+}
+
+/**
+ * @throws {Error} for an unknown format
+ */
+function getWriter(format) {
+    const writer = WRITERS.get(format);
+    if (!writer) throw new Error(`Unknown output format '${format}' (available: ${listFormats().join(', ')})`);
+    return writer;
+}
+
+function listFormats() {
+    return [...WRITERS.keys()];
+}
+
+/**
+ * The format whose extension the file has, or null.
+ */
+function formatFromPath(file) {
+    const extension = path.extname(file).toLowerCase();
+    for (const [format, writer] of WRITERS) {
+        if (writer.extension === extension) return format;
+    }
+    return null;
+}
+
+// --- Test Execution ---
+// Every registered format on the same shapes, with a round trip check per format
+if (require.main === module) {
+    const zlib = require('zlib');
+    const { computeViewport } = require('./viewport');
+    // A page with a square hole, and a half transparent square in the hole
+    const square = (x, y, size) => {
+        const corners = [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }];
+        return corners.map((p, i) => ({ p0: p, p1: p, p2: corners[(i + 1) % 4], p3: corners[(i + 1) % 4] }));
+    };
+    const shapes = [
+        { layer: 0, color: { r: 255, g: 255, b: 255 }, curves: square(0, 0, 100), holes: [{ curves: square(30, 30, 40) }], parent: -1, depth: 0 },
+        { layer: 1, color: { r: 200, g: 30, b: 30 }, opacity: 0.5, curves: square(40, 40, 20), parent: 0, depth: 1 },
+    ];
+    const viewport = computeViewport(shapes, 100, 100);
+    const options = { title: 'Squares\nwith a hole', metadata: { source: 'scan [1  2].png' } };
+    const write = (format, extra = {}) => getWriter(format).write(shapes, viewport, { ...options, ...extra });
+    const check = (label, ok) => {
+        console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}`);
+        if (!ok) process.exitCode = 1;
+    };
+
+    console.log("--- Writers Test ---");
+    check('formats come from the extension', formatFromPath('out/logo.PDF') === 'pdf' && formatFromPath('logo.png') === null);
+    check('unknown formats throw', (() => {
+        try {
+            getWriter('png');
+        } catch (err) {
+            return /available: svg, pdf/.test(err.message);
+        }
+        return false;
+    })());
+
+    // PDF: the xref table points at every object, /Info is the last one
+    const pdf = write('pdf');
+    const text = pdf.toString('latin1');
+    const size = Number(/\/Size (\d+)/.exec(text)[1]);
+    const xref = Number(/startxref\n(\d+)/.exec(text)[1]);
+    const entries = text.slice(xref).split('\n').slice(3, 2 + size);
+    check('pdf: xref offsets point at their objects', text.startsWith('xref', xref) &&
+        entries.every((entry, i) => text.startsWith(`${i + 1} 0 obj`, Number(entry.slice(0, 10)))));
+    check('pdf: /Info is the last object', text.includes(`/Info ${size - 1} 0 R`) && text.slice(text.lastIndexOf(`${size - 1} 0 obj`)).includes('/Producer'));
+    const content = zlib.inflateSync(pdf.subarray(text.indexOf('stream\n') + 7, text.indexOf('\nendstream'))).toString('latin1');
+    check('pdf: hole filled even-odd, opacity in an ExtGState', /^f\*$/m.test(content) && /\/GS0 gs/.test(content) && text.includes('/ca 0.5'));
+
+    // EPS: no transparency, comments on one line
+    const eps = write('eps');
+    check('eps: bounding box in points', eps.includes('%%BoundingBox: 0 0 75 75'));
+    check('eps: one eofill, the translucent shape painted opaque', (eps.match(/ eofill$/gm) || []).length === 1 && (eps.match(/ fill$/gm) || []).length === 1);
+    check('eps: comments stay on one line', eps.includes('%%Title: Squares with a hole'));
+
+    // DXF: group code / value pairs, one LAYER per color, no exponents
+    const lines = write('dxf').trimEnd().split('\n');
+    const pairs = lines.filter((_, i) => i % 2 === 0).map((code, i) => [code, lines[i * 2 + 1]]);
+    check('dxf: codes and values stay paired', lines.length % 2 === 0 && pairs.every(([code]) => /^\d+$/.test(code)) && pairs[pairs.length - 1].join(' ') === '0 EOF');
+    const layerNames = pairs.filter((pair, i) => pair[0] === '2' && i > 0 && pairs[i - 1].join(' ') === '0 LAYER').map(([, name]) => name);
+    check('dxf: one LAYER per color', layerNames.join(' ') === 'layer-1 layer-2');
+    check('dxf: the hole is a polyline of its own', pairs.filter(pair => pair.join(' ') === '0 POLYLINE').length === 3);
+    const tiny = getWriter('dxf').write([{ layer: 0, color: { r: 0, g: 0, b: 0 }, curves: square(0.0000001, 0.0000001, 0.0000001) }], viewport, { precision: 7 });
+    check('dxf: no exponents at high precision', !/e-/.test(tiny) && tiny.includes('\n0.0000001\n'));
+
+    // JSON: parses, the tree follows shape.parent, strings are left alone
+    const json = JSON.parse(write('json'));
+    check('json: children follow shape.parent', json.shapes.length === 1 && json.shapes[0].children.length === 1 && json.shapes[0].children[0].index === 1);
+    check('json: holes and opacity are kept', json.shapes[0].holes.length === 1 && json.shapes[0].children[0].opacity === 0.5);
+    check('json: strings are left alone', json.metadata.source === options.metadata.source);
+    check('json: compact and indented agree', JSON.stringify(json) === JSON.stringify(JSON.parse(write('json', { compact: true }))));
+}
+
+module.exports = { registerWriter, getWriter, listFormats, formatFromPath };
@@ -0,0 +1,163 @@
+/**
+ * Paint Order
+ * Sorting by area alone can paint a large thin outline over a smaller shape
+ * it does not contain (or the other way round). Instead, shapes are ordered
+ * by the containment hierarchy of their outer contours: every shape is
+ * painted after the shapes that contain it. Shapes on the same level keep
+ * the largest-first order.
+ *
+ * Shape B counts as contained in A when A's outer contour encloses more
+ * area, A's bounding box holds B's, and at least CONTAINED_SHARE of the
+ * samples along B's contour lie inside (or on) A's outer contour. Holes
+ * are ignored: something sitting in A's hole does not overlap A, so drawing
+ * it after A does no harm. Stroked shapes (centerline mode) can be
+ * contained but never contain.
+ */
+
+const SAMPLES = 8;
+const CONTAINED_SHARE = 0.75;
+const ON_EDGE = 0.5; // Points this close to A's contour count as inside
+
+/**
+ * Sorts the shapes in paint order (in place) and records the hierarchy:
+ * `shape.depth` is the number of shapes containing it, `shape.parent` the
+ * index (in the sorted array) of the smallest one, -1 for top-level shapes.
+ *
+ * @param {Array<{area: number, contour: Array<{x,y}>, strokeWidth?: number}>} shapes
+ * @returns {Array<object>} The same array
+ */
+function orderShapes(shapes) {
+    // `shape.area` is not always the area inside the outer contour (planar map
+    // regions count pixels without their holes), so containment uses its own
+    const info = shapes.map(shape => ({
+        shape,
+        box: boundingBox(shape.contour),
+        outerArea: shape.strokeWidth ? 0 : polygonArea(shape.contour),
+        parent: null,
+        depth: 0
+    }));
+
+    // Largest first, so every container is placed before what it contains
+    info.sort((a, b) => b.outerArea - a.outerArea);
+    for (let i = 0; i < info.length; i++) {
+        const inner = info[i];
+        // Scan from the smallest larger shape up: the first container is the parent
+        for (let j = i - 1; j >= 0; j--) {
+            const outer = info[j];
+            if (outer.shape.strokeWidth || outer.outerArea <= inner.outerArea) continue;
+            if (!boxContains(outer.box, inner.box)) continue;
+            if (!contains(outer.shape.contour, inner.shape.contour)) continue;
+            inner.parent = outer;
+            inner.depth = outer.depth + 1;
+            break;
+        }
+    }
+
+    // Depth first: every shape right after its container (and the shapes it
+    // contains), so a child never ends up above a sibling of its parent.
+    // Siblings largest first; the sort is stable, so equal shapes keep their order.
+    const children = new Map([[null, []], ...info.map(item => [item, []])]);
+    for (const item of info) children.get(item.parent).push(item);
+    const ordered = [];
+    const visit = item => {
+        ordered.push(item);
+        children.get(item).sort((a, b) => b.shape.area - a.shape.area).forEach(visit);
+    };
+    children.get(null).sort((a, b) => b.shape.area - a.shape.area).forEach(visit);
+
+    const position = new Map(ordered.map((item, index) => [item, index]));
+    ordered.forEach((item, index) => {
+        shapes[index] = item.shape;
+        item.shape.depth = item.depth;
+        item.shape.parent = item.parent ? position.get(item.parent) : -1;
+    });
+    return shapes;
+}
+
+function contains(outer, inner) {
+    if (outer.length < 3 || inner.length === 0) return false;
+    const count = Math.min(SAMPLES, inner.length);
+    let inside = 0;
+    for (let k = 0; k < count; k++) {
+        const p = inner[Math.floor(k * inner.length / count)];
+        if (pointInPolygon(p, outer) || distanceToPolygon(p, outer) <= ON_EDGE) inside++;
+    }
+    return inside >= count * CONTAINED_SHARE;
+}
+
+/**
+ * Even-odd ray casting.
+ */
+function pointInPolygon(p, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i], b = polygon[j];
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function distanceToPolygon(p, polygon) {
+    let best = Infinity;
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+        best = Math.min(best, Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy)));
+        if (best === 0) break;
+    }
+    return best;
+}
+
+function polygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const j = (i + 1) % points.length;
+        area += points[i].x * points[j].y - points[j].x * points[i].y;
+    }
+    return Math.abs(area) / 2;
+}
+
+function boundingBox(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of points) {
+        if (p.x < minX) minX = p.x;
+        if (p.y < minY) minY = p.y;
+        if (p.x > maxX) maxX = p.x;
+        if (p.y > maxY) maxY = p.y;
+    }
+    return { minX, minY, maxX, maxY };
+}
+
+function boxContains(outer, inner) {
+    return inner.minX >= outer.minX - ON_EDGE && inner.minY >= outer.minY - ON_EDGE &&
+        inner.maxX <= outer.maxX + ON_EDGE && inner.maxY <= outer.maxY + ON_EDGE;
+}
+
+// --- Test Execution ---
+if (require.main === module) {
+    const rect = (x, y, w, h) => [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+    const shape = (name, contour, area) => ({ name, contour, area });
+
+    // A page with a blob on it, and a dot on each: every shape after its container
+    const shapes = [
+        shape('dot', rect(5, 5, 4, 4), 16),
+        shape('page', rect(0, 0, 100, 100), 10000),
+        shape('blob', rect(40, 40, 50, 50), 2500),
+        shape('dot-in-blob', rect(52, 50, 6, 6), 36),
+        // Overlaps the blob and its dot without containing them: painted above both
+        shape('bar', rect(55, 10, 20, 45), 900),
+        shape('dot-in-bar', rect(60, 20, 4, 4), 16),
+    ];
+
+    console.log("--- Paint Order Test ---");
+    for (const s of orderShapes(shapes)) {
+        console.log(`${s.name.padEnd(12)} depth ${s.depth}, parent ${s.parent === -1 ? '-' : shapes[s.parent].name}`);
+    }
+}
+
+module.exports = { orderShapes };